@@ -0,0 +1,118 @@
+import * as hb from './hiitboard.js';
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+// Name of the cookie that carries a logged-in browser's session token
+export const cookieName = 'seefit_session';
+
+// How long a login lasts before the user has to log in again
+const loginLength = 30 * 24 * 60 * 60 * 1000;
+
+// Function to hash a password with a random salt, stored together as salt:hash
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `${salt}:${hash.toString('hex')}`;
+}
+
+// Function to check a password against a stored salt:hash
+export async function verifyPassword(password, stored) {
+  const [salt, hash] = stored.split(':');
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Function to hash a session token, so the database never holds a usable token
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Function to decode a cookie value, keeping one that cannot be decoded as it was sent so that
+// a bad cookie of another site on the host does not break the request
+function decodeCookie(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+// Function to read the cookies of a request into an object
+export function parseCookies(header = '') {
+  const cookies = {};
+  for (const pair of header.split(';')) {
+    const index = pair.indexOf('=');
+    if (index > 0) {
+      const name = pair.slice(0, index).trim();
+      cookies[name] = decodeCookie(pair.slice(index + 1).trim());
+    }
+  }
+  return cookies;
+}
+
+// Function to log a user in, giving their browser a new session cookie
+export async function startLogin(res, user) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + loginLength);
+  await hb.addLogin(hashToken(token), user.user_id, expiresAt.toISOString());
+  res.cookie(cookieName, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    path: '/',
+    expires: expiresAt,
+  });
+}
+
+// Function to log a browser out and clear its session cookie
+export async function endLogin(req, res) {
+  const token = parseCookies(req.headers.cookie)[cookieName];
+  if (token) {
+    await hb.deleteLogin(hashToken(token));
+  }
+  res.clearCookie(cookieName, { path: '/' });
+}
+
+// Middleware to find the logged-in user, if any, and keep them in req.user
+export async function loadUser(req, res, next) {
+  try {
+    const token = parseCookies(req.headers.cookie)[cookieName];
+    req.user = token ? ((await hb.findLoginUser(hashToken(token))) ?? null) : null;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Middleware to only let logged-in users through
+export function requireUser(req, res, next) {
+  if (!req.user) {
+    res.status(401).json({ error: 'You need to log in first' });
+    return;
+  }
+  next();
+}
+
+// Function to check whether a user can see a hiit: defaults and ownerless hiits are shared
+export function canView(hiit, user) {
+  return hiit.type === 'default' || hiit.owner_id === null || hiit.owner_id === user?.user_id;
+}
+
+// Function to check whether a user can change or delete a hiit
+export function canModify(hiit, user) {
+  return hiit.type !== 'default' && canView(hiit, user);
+}
+
+// Function to check whether a user can see and use a library entry: shared entries and their own
+export function canViewLibraryEntry(entry, user) {
+  return entry.owner_id === null || entry.owner_id === user?.user_id;
+}
+
+// Function to work out why a user cannot change a hiit, for the 403 response
+export function modifyError(hiit) {
+  return hiit.type === 'default'
+    ? 'Default hiits cannot be edited'
+    : 'This hiit belongs to another user';
+}
@@ -0,0 +1,89 @@
+import * as hb from './hiitboard.js';
+import * as auth from './auth.js';
+import crypto from 'crypto';
+
+// Function to make the ETag of a hiit from its version, which If-Match on writes is checked against
+export function hiitETag(hiit) {
+  return `"${hiit.version}"`;
+}
+
+// Function to split an If-Match or If-None-Match header into its ETags
+function headerTags(header) {
+  return header.split(',').map((tag) => tag.trim());
+}
+
+// Function to check whether the copy a client already has is still current. If-None-Match wins
+// over If-Modified-Since, which only has whole seconds.
+function isFresh(req, etag, modifiedAt) {
+  const noneMatch = req.get('If-None-Match');
+  if (noneMatch) {
+    return headerTags(noneMatch).some((tag) => tag === '*' || tag === etag || tag === `W/${etag}`);
+  }
+  const since = Date.parse(req.get('If-Modified-Since'));
+  return !Number.isNaN(since) && Math.floor(Date.parse(modifiedAt) / 1000) * 1000 <= since;
+}
+
+// Function to send the caching headers of a read, answering 304 without running the handler
+// when the client's copy is current. no-cache makes browsers check with the server every time.
+function answerConditionally(req, res, next, etag, modifiedAt) {
+  res.set('ETag', etag);
+  res.set('Last-Modified', new Date(modifiedAt).toUTCString());
+  res.set('Cache-Control', 'private, no-cache');
+  if (isFresh(req, etag, modifiedAt)) {
+    res.status(304).end();
+    return;
+  }
+  next();
+}
+
+// Middleware for reads of lists, versioned by all the data. The ETag also depends on who is
+// asking and on the query string, since both change what the list holds.
+export async function cacheByDataVersion(req, res, next) {
+  try {
+    const { version, modified_at: modifiedAt } = await hb.getDataVersion();
+    const variant = crypto
+      .createHash('sha256')
+      .update(`${req.user?.user_id ?? ''} ${req.originalUrl}`)
+      .digest('hex')
+      .slice(0, 16);
+    answerConditionally(req, res, next, `"${version}-${variant}"`, modifiedAt);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Middleware for reads of one hiit, versioned by the hiit itself
+export async function cacheByHiitVersion(req, res, next) {
+  try {
+    const hiit = await hb.findHiit(req.params.id);
+    // The handler answers for hiits that do not exist or that the user cannot see
+    if (!hiit || !auth.canView(hiit, req.user)) {
+      next();
+      return;
+    }
+    answerConditionally(req, res, next, hiitETag(hiit), hiit.modified_at);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Middleware for writes to a hiit: with an If-Match header, the write only goes ahead when the
+// hiit is still at a version the client names, so two editors cannot overwrite each other
+export async function checkIfMatch(req, res, next) {
+  try {
+    const ifMatch = req.get('If-Match');
+    if (!ifMatch) {
+      next();
+      return;
+    }
+    const hiit = await hb.findHiit(req.params.id);
+    const tags = headerTags(ifMatch);
+    if (hiit && (tags.includes('*') || tags.includes(hiitETag(hiit)))) {
+      next();
+      return;
+    }
+    res.status(412).json({ error: 'The hiit has been changed since you loaded it' });
+  } catch (error) {
+    next(error);
+  }
+}
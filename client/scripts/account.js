@@ -0,0 +1,83 @@
+import { getAssets } from './script.js';
+import { loadData } from './record.js';
+
+// This file contains functions related to logging in and out of a SeeFit account.
+const account = {};
+
+// Function to get handles to the account screen
+function getAccountHandles() {
+  account.form = document.querySelector('.account-form');
+  account.username = document.querySelector('.account-form .username');
+  account.password = document.querySelector('.account-form .password');
+  account.error = document.querySelector('.account-error');
+  account.details = document.querySelector('.account-details');
+  account.name = document.querySelector('.account-name');
+}
+
+// Function to show either the login form or the logged-in user
+function showAccount(user) {
+  account.form.classList.toggle('hidden', Boolean(user));
+  account.details.classList.toggle('hidden', !user);
+  account.name.textContent = user?.username ?? '';
+  account.error.textContent = '';
+}
+
+// Function to reload everything that belongs to the logged-in user
+function reloadUserData(user) {
+  showAccount(user);
+  getAssets();
+  loadData();
+}
+
+// Function to log in, or register when asked, with the username and password entered
+async function sendCredentials(action) {
+  const response = await fetch(`/auth/${action}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      username: account.username.value,
+      password: account.password.value,
+    }),
+  });
+  const result = await response.json();
+  if (response.ok) {
+    account.form.reset();
+    reloadUserData(result);
+  } else {
+    account.error.textContent = result.errors
+      ? result.errors.map((error) => error.message).join('. ')
+      : result.error;
+  }
+}
+
+// Function to log out and go back to the shared guest data
+async function logout() {
+  const response = await fetch('/auth/logout', { method: 'POST' });
+  if (response.ok) {
+    reloadUserData(null);
+  }
+}
+
+// Function to check whether this browser is already logged in
+async function loadAccount() {
+  const response = await fetch('/auth/me');
+  showAccount(response.ok ? await response.json() : null);
+}
+
+// Function to set up the account screen once its content has loaded
+export function initAccount() {
+  getAccountHandles();
+  account.form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    sendCredentials('login');
+  });
+  document.querySelector('.register-btn').addEventListener('click', () => {
+    if (account.form.reportValidity()) {
+      sendCredentials('register');
+    }
+  });
+  document.querySelector('.logout-btn').addEventListener('click', logout);
+  loadAccount();
+}
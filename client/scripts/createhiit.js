@@ -6,35 +6,92 @@ import { getAssets } from './script.js';
 // Object to store references to DOM elements
 const createForm = {};
 
-// Array to store exercise data
-let exerciseDataArray = [];
+// Function to make an empty block of the main workout, done once with no extra rest
+function newBlock() {
+  return { phase: 'main', rounds: 1, round_rest_duration: 0, block_rest_duration: 0, exercises: [] };
+}
+
+// Blocks of the HIIT, each with its exercises. New exercises are added to the last block.
+let blockDataArray = [newBlock()];
 
-// Index of the exercise being edited
+// Block and index of the exercise being edited
+let editingBlock = null;
 let editingIndex = null;
 
+// ID of the HIIT being edited, null when creating a new one
+let editingHiitId = null;
+
+// Version of the HIIT being edited when it was loaded, so saving cannot overwrite someone else's changes
+let editingHiitVersion = null;
+
+// Entries of the exercise library that can be picked from
+let library = [];
+
 // Function to get references to DOM elements
 function getCreateHandles() {
   // Get references to various DOM elements
   createForm.createHiitForm = document.querySelector('.hiit-form');
   createForm.hiitName = document.querySelector('.hiitName');
   createForm.hiitDescription = document.querySelector('.hiitDescription');
+  createForm.hiitFormat = document.querySelector('.hiitFormat');
+  createForm.timeCap = document.querySelector('.timeCap');
+  createForm.timeCapField = document.querySelector('.time-cap-field');
   createForm.createBtn = document.querySelector('.create-btn');
   createForm.addBtn = document.querySelector('.add-btn');
+  createForm.newBlockBtn = document.querySelector('.new-block-btn');
   createForm.exerciseName = document.querySelector('.exerciseName');
   createForm.exerciseDescription = document.querySelector('.exerciseDesc');
   createForm.exerciseDuration = document.querySelector('.exerciseDuration');
   createForm.exerciseRestDuration = document.querySelector('.restDuration');
+  createForm.exerciseReps = document.querySelector('.exerciseReps');
+  createForm.exerciseSides = document.querySelector('.exerciseSides');
   createForm.add = document.querySelector('.createWorkoutIcon');
   createForm.createHiit = document.querySelector('.createHiitIcon');
   createForm.addedExerciseHolder = document.querySelector('.added-exercises-holder');
   createForm.createHiitCard = document.querySelector('.createHiitCard');
   createForm.eventInfo = document.querySelector('.event-info');
+  createForm.libraryPicker = document.querySelector('.library-picker');
+}
+
+// Function to fetch the exercise library and list it in the picker
+async function loadLibrary() {
+  const response = await fetch('/library');
+  if (!response.ok) {
+    console.error('Failed to load the exercise library', response);
+    return;
+  }
+  library = await response.json();
+  createForm.libraryPicker.replaceChildren(createForm.libraryPicker.options[0]);
+  for (const entry of library) {
+    const option = document.createElement('option');
+    option.value = entry.library_id;
+    option.textContent =
+      entry.equipment.length > 0 ? `${entry.name} (${entry.equipment.join(', ')})` : entry.name;
+    createForm.libraryPicker.append(option);
+  }
+}
+
+// Function to find the library entry chosen in the picker
+function pickedLibraryEntry() {
+  const libraryId = Number(createForm.libraryPicker.value);
+  return library.find((entry) => entry.library_id === libraryId);
+}
+
+// Function to fill in the exercise name and description from the library entry picked
+function pickLibraryEntry() {
+  const entry = pickedLibraryEntry();
+  if (entry) {
+    createForm.exerciseName.value = entry.name;
+    createForm.exerciseDescription.value = entry.description;
+  }
 }
 
 // Function to initialize event listeners
 function get() {
   // Add event listener to createHiitCard element
   createForm.createHiitCard.addEventListener('click', () => {
+    leaveEditMode();
+    loadLibrary();
     showScreen('createhiit');
   });
   // Update the add exercise button text
@@ -44,6 +101,8 @@ function get() {
 // Function to update the text of the add exercise button
 function updateAddExerciseBtn() {
   createForm.add.addEventListener('click', () => {
+    leaveEditMode();
+    loadLibrary();
     showScreen('createhiit');
     // Update the button text based on whether an exercise is being edited or added
     if (editingIndex !== null) {
@@ -59,20 +118,42 @@ function getHiitData() {
   const name = createForm.hiitName.value.trim();
   const description = createForm.hiitDescription.value.trim();
   const type = 'custom';
+  const format = createForm.hiitFormat.value;
+  // Only an AMRAP has a time cap, the other formats last as long as their exercises
+  const timeCap = format === 'amrap' ? Number(createForm.timeCap.value) : null;
   // Check if all fields are filled before creating a HIIT workout
   if (!name || !description) {
     return;
   }
-  return { name, description, type };
+  return { name, description, type, format, time_cap: timeCap };
+}
+
+// Function to show the time cap input only for an AMRAP
+function showTimeCap() {
+  createForm.timeCapField.classList.toggle('hidden', createForm.hiitFormat.value !== 'amrap');
 }
 
 // Function to get the data for an exercise
 function getExerciseData() {
   const name = createForm.exerciseName.value.trim();
   const description = createForm.exerciseDescription.value.trim();
-  const exercise_duration = createForm.exerciseDuration.value.trim();
-  const rest_duration = createForm.exerciseRestDuration.value.trim();
-  return { name, description, exercise_duration, rest_duration };
+  const exercise_duration = Number(createForm.exerciseDuration.value.trim());
+  const rest_duration = Number(createForm.exerciseRestDuration.value.trim());
+  // An exercise without reps is timed, and the duration is how long its reps are expected to take
+  const reps = createForm.exerciseReps.value.trim() ? Number(createForm.exerciseReps.value) : null;
+  const sides = Number(createForm.exerciseSides.value);
+  const exercise = { name, description, exercise_duration, rest_duration, reps, sides };
+  // A picked exercise stays linked to the library unless its name or description was changed
+  const entry = pickedLibraryEntry();
+  if (entry && entry.name === name && entry.description === description) {
+    return { library_id: entry.library_id, ...exercise };
+  }
+  return exercise;
+}
+
+// Function to get the blocks to save, leaving out a new block no exercise was added to yet
+function getBlockData() {
+  return blockDataArray.filter((block) => block.exercises.length > 0);
 }
 
 // Function to generate a UUID
@@ -86,17 +167,20 @@ function generateUUID() {
 
 
 // Function to send the HIIT data to the server
-async function sendHiitData() {
-  const customHiitCards = document.querySelector('.custom-hiit-card');
-  customHiitCards.innerHTML = '';
+async function sendHiitData(event) {
+  event.preventDefault();
+  if (editingHiitId !== null) {
+    updateHiitData();
+    return;
+  }
 
+  // The HIIT and its blocks of exercises are sent together so they are saved all or nothing
   const hiit_id = generateUUID(); // Generate a UUID for HIIT ID
   const hiitData = {
     hiit_id,
     ...getHiitData(),
+    blocks: getBlockData(),
   };
-  showScreen('Custom');
-  getAssets();
 
   const responseHiit = await fetch('/hiits', {
     method: 'POST',
@@ -106,47 +190,177 @@ async function sendHiitData() {
     body: JSON.stringify(hiitData),
   });
   if (responseHiit.ok) {
-    sendExerciseData(hiit_id);
     clearExistingFormDataOnCreate();
+    createForm.addedExerciseHolder.innerHTML = '';
+    showScreen('Custom');
+    getAssets();
     createForm.eventInfo.textContent = 'HIIT created successfully';
-    createForm.eventInfo.style.opacity = '1';
-    setTimeout(() => {
-      createForm.eventInfo.style.opacity = '0';
-    }, 3000);
   } else {
     console.error('Failed to create HIIT', responseHiit);
+    await handleFailedSave(responseHiit);
+    createForm.eventInfo.textContent = 'Failed to create HIIT';
   }
+  createForm.eventInfo.style.opacity = '1';
+  setTimeout(() => {
+    createForm.eventInfo.style.opacity = '0';
+  }, 3000);
 }
 
 // Function to clear existing form data on create
 function clearExistingFormDataOnCreate() {
   createForm.createHiitForm.reset();
-  exerciseDataArray = [];
+  blockDataArray = [newBlock()];
+  clearFieldErrors();
+  showTimeCap();
 }
 
-function sendExerciseData(hiit_id) {
-  // Associate each exercise with the generated HIIT ID
-  exerciseDataArray.forEach(async (exerciseData) => {
-    exerciseData.hiit_id = hiit_id;
+// Function to show the field errors of a rejected save, if the server sent any
+async function handleFailedSave(response) {
+  if (response.status !== 400) {
+    return;
+  }
+  const body = await response.json();
+  showFieldErrors(body.errors ?? []);
+}
 
-    const responseExercise = await fetch('/exercise', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(exerciseData),
-    });
+// Function to find the form element a field error belongs to
+function fieldErrorTarget(field) {
+  const addedBlocks = createForm.addedExerciseHolder.querySelectorAll('.added-block');
+  const exerciseField = field.match(/^blocks\[(\d+)\]\.exercises\[(\d+)\]/);
+  if (exerciseField) {
+    const addedBlock = addedBlocks[Number(exerciseField[1])];
+    return addedBlock?.querySelectorAll('.added-exercise')[Number(exerciseField[2])];
+  }
+  const blockField = field.match(/^blocks\[(\d+)\]\.(\w+)/);
+  if (blockField) {
+    const addedBlock = addedBlocks[Number(blockField[1])];
+    return addedBlock?.querySelector(`[name="${blockField[2]}"]`) ?? addedBlock;
+  }
+  switch (field) {
+    case 'name':
+      return createForm.hiitName;
+    case 'description':
+      return createForm.hiitDescription;
+    case 'format':
+      return createForm.hiitFormat;
+    case 'time_cap':
+      return createForm.timeCap;
+    default:
+      return createForm.createBtn;
+  }
+}
 
-    if (responseExercise.ok) {
-      createForm.addedExerciseHolder.innerHTML = '';
-    } else {
-      createForm.eventInfo.textContent = 'Failed to add exercise';
-      createForm.eventInfo.style.opacity = '1';
-      setTimeout(() => {
-        createForm.eventInfo.style.opacity = '0';
-      }, 3000);
-    }
+// Function to show each field error next to the input it belongs to
+function showFieldErrors(errors) {
+  clearFieldErrors();
+  // Find every target first, since adding messages shifts the exercise list
+  const placements = errors.map((error) => ({
+    target: fieldErrorTarget(error.field) ?? createForm.createBtn,
+    message: error.message,
+  }));
+  for (const { target, message } of placements) {
+    const errorMessage = document.createElement('p');
+    errorMessage.classList.add('field-error');
+    errorMessage.textContent = message;
+    target.classList.add('invalid');
+    target.after(errorMessage);
+  }
+}
+
+// Function to remove the field errors shown on the form
+function clearFieldErrors() {
+  for (const errorMessage of createForm.createHiitForm.querySelectorAll('.field-error')) {
+    errorMessage.remove();
+  }
+  for (const invalid of createForm.createHiitForm.querySelectorAll('.invalid')) {
+    invalid.classList.remove('invalid');
+  }
+}
+
+// Function to send the edited HIIT and its blocks of exercises to the server
+async function updateHiitData() {
+  const hiitData = {
+    ...getHiitData(),
+    blocks: getBlockData(),
+  };
+
+  const response = await fetch(`/hiits/${editingHiitId}`, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+      'If-Match': `"${editingHiitVersion}"`,
+    },
+    body: JSON.stringify(hiitData),
   });
+  if (response.ok) {
+    leaveEditMode();
+    showScreen('Custom');
+    getAssets();
+    createForm.eventInfo.textContent = 'HIIT updated successfully';
+  } else if (response.status === 412) {
+    createForm.eventInfo.textContent =
+      'This HIIT was changed somewhere else. Open it again to see the changes before saving';
+  } else {
+    console.error('Failed to update HIIT', response);
+    await handleFailedSave(response);
+    createForm.eventInfo.textContent = 'Failed to update HIIT';
+  }
+  createForm.eventInfo.style.opacity = '1';
+  setTimeout(() => {
+    createForm.eventInfo.style.opacity = '0';
+  }, 3000);
+}
+
+// Function to open the create hiit screen pre-filled with an existing HIIT and its blocks
+export function editHiit(hiit) {
+  getCreateHandles();
+  editingHiitId = hiit.hiits_id;
+  editingHiitVersion = hiit.version;
+  editingBlock = null;
+  editingIndex = null;
+  createForm.hiitName.value = hiit.name;
+  createForm.hiitDescription.value = hiit.description;
+  createForm.hiitFormat.value = hiit.format;
+  createForm.timeCap.value = hiit.time_cap ?? '';
+  showTimeCap();
+  blockDataArray = hiit.blocks.map((block) => ({
+    phase: block.phase,
+    rounds: block.rounds,
+    round_rest_duration: block.round_rest_duration,
+    block_rest_duration: block.block_rest_duration,
+    exercises: hiit.exercises
+      .filter((exercise) => exercise.block_id === block.block_id)
+      .map((exercise) => ({
+        library_id: exercise.library_id,
+        name: exercise.name,
+        description: exercise.description,
+        exercise_duration: exercise.exercise_duration,
+        rest_duration: exercise.rest_duration,
+        reps: exercise.reps,
+        sides: exercise.sides,
+      })),
+  }));
+  if (blockDataArray.length === 0) {
+    blockDataArray = [newBlock()];
+  }
+  updateExerciseList();
+  loadLibrary();
+  createForm.addBtn.textContent = 'Add Exercise';
+  createForm.createBtn.textContent = 'Save Changes';
+  showScreen('createhiit');
+}
+
+// Function to return the create hiit screen from edit mode to create mode
+function leaveEditMode() {
+  if (editingHiitId === null) {
+    return;
+  }
+  editingHiitId = null;
+  editingBlock = null;
+  editingIndex = null;
+  clearExistingFormDataOnCreate();
+  createForm.addedExerciseHolder.innerHTML = '';
+  createForm.createBtn.textContent = 'Create HIIT';
 }
 
 // Function to add an exercise
@@ -162,16 +376,20 @@ function AddExercise() {
     return;
   }
   if (editingIndex !== null) {
-    exerciseDataArray[editingIndex] = exerciseData;
+    blockDataArray[editingBlock].exercises[editingIndex] = exerciseData;
+    editingBlock = null;
     editingIndex = null;
   } else {
-    exerciseDataArray.push(exerciseData);
+    blockDataArray.at(-1).exercises.push(exerciseData);
   }
   updateExerciseList();
   createForm.exerciseName.value = '';
   createForm.exerciseDescription.value = '';
   createForm.exerciseDuration.value = '';
   createForm.exerciseRestDuration.value = '';
+  createForm.exerciseReps.value = '';
+  createForm.exerciseSides.value = '1';
+  createForm.libraryPicker.value = '';
   createForm.addBtn.textContent = 'Add Exercise';
   createForm.eventInfo.textContent = 'Exercise added successfully';
   createForm.eventInfo.style.opacity = '1';
@@ -180,57 +398,150 @@ function AddExercise() {
   }, 3000);
 }
 
-// Function to update the exercise list
+// Function to make a number input that keeps one setting of a block up to date
+function blockSetting(block, setting, text, min) {
+  const label = document.createElement('label');
+  label.classList.add('block-setting');
+  label.textContent = text;
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.name = setting;
+  input.min = min;
+  input.value = block[setting];
+  input.addEventListener('change', () => {
+    block[setting] = Number(input.value);
+  });
+  label.append(input);
+  return label;
+}
+
+// Phases a block can be part of, in the order the timer runs them
+const blockPhases = [
+  { value: 'warm_up', text: 'Warm-up' },
+  { value: 'main', text: 'Main workout' },
+  { value: 'cool_down', text: 'Cool-down' },
+];
+
+// Function to make a select that keeps the phase of a block up to date
+function blockPhase(block) {
+  const label = document.createElement('label');
+  label.classList.add('block-setting');
+  label.textContent = 'Phase:';
+  const select = document.createElement('select');
+  select.name = 'phase';
+  for (const phase of blockPhases) {
+    select.add(new Option(phase.text, phase.value));
+  }
+  select.value = block.phase;
+  select.addEventListener('change', () => {
+    block.phase = select.value;
+  });
+  label.append(select);
+  return label;
+}
+
+// Function to update the exercise list, block by block
 function updateExerciseList() {
   const addedExerciseHolder = createForm.addedExerciseHolder;
   addedExerciseHolder.innerHTML = '';
 
-  exerciseDataArray.forEach((exercise, index) => {
-    const addedExercise = document.createElement('section');
-    addedExercise.classList.add('added-exercise');
+  blockDataArray.forEach((block, blockIndex) => {
+    const addedBlock = document.createElement('section');
+    addedBlock.classList.add('added-block');
 
-    const deleteButton = document.createElement('button');
-    deleteButton.innerHTML =
-      '<svg xmlns="http://www.w3.org/2000/svg" height="24" viewBox="0 -960 960 960" width="24"><path d="m256-200-56-56 224-224-224-224 56-56 224 224 224-224 56 56-224 224 224 224-56 56-224-224-224 224Z"/></svg>';
-    deleteButton.addEventListener('click', () => deleteExercise(index));
+    const blockTitle = document.createElement('h4');
+    blockTitle.textContent = `Block ${blockIndex + 1}`;
+    addedBlock.append(
+      blockTitle,
+      blockPhase(block),
+      blockSetting(block, 'rounds', 'Rounds:', 1),
+      blockSetting(block, 'round_rest_duration', 'Rest between rounds (s):', 0),
+      blockSetting(block, 'block_rest_duration', 'Rest after block (s):', 0),
+    );
 
-    const exerciseName = document.createElement('span');
-    exerciseName.textContent = exercise.name;
+    block.exercises.forEach((exercise, index) => {
+      const addedExercise = document.createElement('section');
+      addedExercise.classList.add('added-exercise');
 
-    addedExercise.appendChild(exerciseName);
-    addedExercise.appendChild(deleteButton);
-    addedExercise.addEventListener('click', () => populateExerciseData(index));
+      const deleteButton = document.createElement('button');
+      deleteButton.innerHTML =
+        '<svg xmlns="http://www.w3.org/2000/svg" height="24" viewBox="0 -960 960 960" width="24"><path d="m256-200-56-56 224-224-224-224 56-56 224 224 224-224 56 56-224 224 224 224-56 56-224-224-224 224Z"/></svg>';
+      deleteButton.addEventListener('click', () => deleteExercise(blockIndex, index));
 
-    addedExerciseHolder.appendChild(addedExercise);
+      const exerciseName = document.createElement('span');
+      exerciseName.textContent = exercise.name;
+
+      addedExercise.appendChild(exerciseName);
+      addedExercise.appendChild(deleteButton);
+      addedExercise.addEventListener('click', () => populateExerciseData(blockIndex, index));
+
+      addedBlock.appendChild(addedExercise);
+    });
+
+    addedExerciseHolder.appendChild(addedBlock);
   });
 }
 
+// Function to start a new block, which the exercises added from now on go into
+function addBlock() {
+  if (blockDataArray.at(-1).exercises.length === 0) {
+    createForm.eventInfo.textContent = 'Add an exercise to the last block first';
+  } else {
+    blockDataArray.push(newBlock());
+    updateExerciseList();
+    createForm.eventInfo.textContent = 'New block started';
+  }
+  createForm.eventInfo.style.opacity = '1';
+  setTimeout(() => {
+    createForm.eventInfo.style.opacity = '0';
+  }, 3000);
+}
+
 // Function to populate the exercise data in the form for editing
-function populateExerciseData(index) {
+function populateExerciseData(blockIndex, index) {
+  editingBlock = blockIndex;
   editingIndex = index;
-  const exercise = exerciseDataArray[index];
+  const exercise = blockDataArray[blockIndex].exercises[index];
   createForm.exerciseName.value = exercise.name;
   createForm.exerciseDescription.value = exercise.description;
   createForm.exerciseDuration.value = exercise.exercise_duration;
   createForm.exerciseRestDuration.value = exercise.rest_duration;
+  createForm.exerciseReps.value = exercise.reps ?? '';
+  createForm.exerciseSides.value = exercise.sides;
+  createForm.libraryPicker.value = exercise.library_id ?? '';
   createForm.addBtn.textContent = 'Update Exercise';
 }
 
-// Function to delete an exercise
-function deleteExercise(index) {
-  exerciseDataArray.splice(index, 1);
+// Function to delete an exercise, and its block with it when that was the block's last exercise
+function deleteExercise(blockIndex, index) {
+  const block = blockDataArray[blockIndex];
+  block.exercises.splice(index, 1);
+  if (block.exercises.length === 0 && blockDataArray.length > 1) {
+    blockDataArray.splice(blockIndex, 1);
+  }
   updateExerciseList();
 }
 
 // Function to add event listeners
 function addEventListeners() {
   createForm.addBtn.addEventListener('click', AddExercise);
+  createForm.newBlockBtn.addEventListener('click', addBlock);
+  createForm.libraryPicker.addEventListener('change', pickLibraryEntry);
+  createForm.hiitFormat.addEventListener('change', showTimeCap);
   createForm.createBtn.addEventListener('click', sendHiitData);
 }
 
+// Whether the createHiit listeners have been registered
+let initialised = false;
+
 // Exported function to initialize the createHiit module
 export function initi() {
+  // Cards are repopulated on every load, so only register the listeners once
+  if (initialised) {
+    return;
+  }
   getCreateHandles();
   get();
   addEventListeners();
+  initialised = true;
 }
@@ -1,32 +1,86 @@
+import { getAssets } from './script.js';
+
 const ui = {};
 
-// Function to delete a HIIT
+// How long the event info, and the Undo of a delete, stays on screen
+const eventInfoTime = 5000;
+
+// Function to show a message in the event info bar, with an optional action button
+function showEventInfo(message, action) {
+  ui.eventInfo = document.querySelector('.event-info');
+  ui.eventInfo.textContent = message;
+  if (action) {
+    ui.eventInfo.append(action);
+  }
+  ui.eventInfo.style.opacity = '1';
+  clearTimeout(ui.eventInfoTimer);
+  ui.eventInfoTimer = setTimeout(() => {
+    ui.eventInfo.style.opacity = '0';
+    action?.remove();
+  }, eventInfoTime);
+}
+
+// Function to delete a HIIT, only removing its card once the server has moved it to the trash
 export async function deleteHiit(hiit) {
-  const toBeDeleted = document.querySelector(
-    `.${hiit.name.replace(/\s+/g, '')}`,
-  );
   const response = await fetch(`/hiits/${hiit.hiits_id}`, {
     method: 'DELETE',
   });
   if (response.ok) {
-    toBeDeleted.remove();
+    document.querySelector(`.card[data-hiit-id="${CSS.escape(hiit.hiits_id)}"]`)?.remove();
+    const undoBtn = document.createElement('button');
+    undoBtn.classList.add('undo-btn');
+    undoBtn.textContent = 'Undo';
+    undoBtn.addEventListener('click', () => restoreHiit(hiit));
+    showEventInfo('HIIT deleted successfully', undoBtn);
+    loadTrash();
   } else {
     console.error('Failed to delete HIIT', response);
-    toBeDeleted.style.display = 'grid';
+    showEventInfo('Failed to delete HIIT');
   }
 }
 
-// Function to remove a HIIT before deleting
-export function removeHiitBeforeDelete(hiit, event) {
-  const toBeDeleted = document.querySelector(
-    `.${hiit.name.replace(/\s+/g, '')}`,
-  );
-  event.stopPropagation();
-  if (!toBeDeleted) {
+// Function to take a deleted HIIT back out of the trash
+async function restoreHiit(hiit) {
+  const response = await fetch(`/trash/${hiit.hiits_id}/restore`, {
+    method: 'POST',
+  });
+  if (response.ok) {
+    showEventInfo('HIIT restored');
+    getAssets();
+    loadTrash();
+  } else {
+    console.error('Failed to restore HIIT', response);
+    showEventInfo('Failed to restore HIIT');
+  }
+}
+
+// Function to list the deleted HIITs that can still be restored on the custom screen
+export async function loadTrash() {
+  const trashList = document.querySelector('.trash-list');
+  const response = await fetch('/trash');
+  if (!trashList || !response.ok) {
     return;
   }
-  toBeDeleted.style.display = 'none';
-  ui.eventInfo = document.querySelector('.event-info');
+  const trash = await response.json();
+  trashList.innerHTML = '';
+  if (trash.length === 0) {
+    trashList.textContent = 'Nothing has been deleted recently';
+  }
+  for (const hiit of trash) {
+    const item = document.createElement('section');
+    item.classList.add('trash-item');
+    const name = document.createElement('p');
+    name.textContent = hiit.name;
+    const expires = document.createElement('p');
+    expires.classList.add('trash-expires');
+    expires.textContent = `Deleted for good on ${new Date(hiit.expires_at).toLocaleDateString()}`;
+    const restoreBtn = document.createElement('button');
+    restoreBtn.classList.add('button');
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.addEventListener('click', () => restoreHiit(hiit));
+    item.append(name, expires, restoreBtn);
+    trashList.append(item);
+  }
 }
 
 // Function to create a delete popup for a HIIT
@@ -85,15 +139,9 @@ export function createDeletePopup(hiit) {
   });
 
   deleteBtn.addEventListener('click', (event) => {
-    removeHiitBeforeDelete(hiit, event);
-    deleteHiit(hiit);
+    event.stopPropagation();
     closePopup();
-
-    ui.eventInfo.textContent = 'HIIT deleted successfully';
-    ui.eventInfo.style.opacity = '1';
-    setTimeout(() => {
-      ui.eventInfo.style.opacity = '0';
-    }, 3000);
+    deleteHiit(hiit);
   });
 
   document.body.appendChild(overlay);
@@ -0,0 +1,161 @@
+// This file shows the OpenAPI description of the API served at /openapi.json as a browsable page.
+let spec;
+
+// Function to follow a $ref such as #/components/schemas/Hiit
+function resolve(schema) {
+  if (!schema?.$ref) {
+    return schema;
+  }
+  return schema.$ref
+    .slice(2)
+    .split('/')
+    .reduce((node, key) => node[key], spec);
+}
+
+// Function to describe a schema in one short line, e.g. "array of Hiit" or "string or null"
+function describeSchema(schema) {
+  if (schema.$ref) {
+    return schema.$ref.split('/').at(-1);
+  }
+  if (schema.allOf) {
+    return schema.allOf.map(describeSchema).join(' + ');
+  }
+  let text = schema.type === 'array' ? `array of ${describeSchema(schema.items)}` : schema.type;
+  if (schema.enum) {
+    text = schema.enum.join(' | ');
+  }
+  return schema.nullable ? `${text} or null` : text;
+}
+
+// Function to list the fields of an object schema, following any $ref and allOf
+function schemaFields(schemaOrRef) {
+  const schema = resolve(schemaOrRef);
+  if (schema.allOf) {
+    return schema.allOf.flatMap(schemaFields);
+  }
+  if (schema.type === 'array') {
+    return schemaFields(schema.items);
+  }
+  const required = schema.required ?? [];
+  return Object.entries(schema.properties ?? {}).map(([name, property]) => ({
+    name,
+    type: describeSchema(property),
+    required: required.includes(name),
+    description: resolve(property).description ?? '',
+  }));
+}
+
+// Function to make a table of fields or parameters
+function createTable(rows) {
+  const table = document.createElement('table');
+  for (const row of rows) {
+    const tr = document.createElement('tr');
+    for (const [index, text] of [
+      `${row.name}${row.required ? ' *' : ''}`,
+      row.type,
+      row.description,
+    ].entries()) {
+      const cell = document.createElement(index === 0 ? 'th' : 'td');
+      cell.textContent = text;
+      tr.append(cell);
+    }
+    table.append(tr);
+  }
+  return table;
+}
+
+// Function to add a titled section for a schema, with a table of its fields
+function appendSchema(parent, title, schema) {
+  const heading = document.createElement('h4');
+  heading.textContent = `${title}: ${describeSchema(schema)}`;
+  parent.append(heading);
+  const fields = schemaFields(schema);
+  if (fields.length > 0) {
+    parent.append(createTable(fields));
+  }
+}
+
+// Function to create the card of one operation, e.g. GET /hiits
+function createOperation(path, method, operation, pathParameters) {
+  const card = document.createElement('details');
+  card.classList.add('docs-operation', `docs-${method}`);
+  const summary = document.createElement('summary');
+  const methodName = document.createElement('span');
+  methodName.classList.add('docs-method');
+  methodName.textContent = method.toUpperCase();
+  summary.append(methodName, ` ${path} `);
+  const title = document.createElement('span');
+  title.classList.add('docs-summary');
+  title.textContent = operation.summary;
+  summary.append(title);
+  card.append(summary);
+
+  if (operation.description) {
+    const description = document.createElement('p');
+    description.textContent = operation.description;
+    card.append(description);
+  }
+  const parameters = [...pathParameters, ...(operation.parameters ?? [])].map(resolve);
+  if (parameters.length > 0) {
+    const heading = document.createElement('h4');
+    heading.textContent = 'Parameters';
+    card.append(
+      heading,
+      createTable(
+        parameters.map((parameter) => ({
+          name: `${parameter.name} (${parameter.in})`,
+          type: describeSchema(parameter.schema),
+          required: parameter.required,
+          description: parameter.description ?? '',
+        })),
+      ),
+    );
+  }
+  const requestSchema = operation.requestBody?.content['application/json']?.schema;
+  if (requestSchema) {
+    appendSchema(card, 'Request body', requestSchema);
+  }
+  for (const [status, responseOrRef] of Object.entries(operation.responses)) {
+    const response = resolve(responseOrRef);
+    const schema = response.content?.['application/json']?.schema;
+    if (schema) {
+      appendSchema(card, `${status} ${response.description}`, schema);
+    } else {
+      const heading = document.createElement('h4');
+      heading.textContent = `${status} ${response.description}`;
+      card.append(heading);
+    }
+  }
+  return card;
+}
+
+// Function to show every operation of the API, grouped by tag
+function populateDocs() {
+  document.querySelector('.docs-description').textContent = spec.info.description;
+  const holder = document.querySelector('.docs-operations');
+  for (const tag of spec.tags) {
+    const heading = document.createElement('h2');
+    heading.textContent = tag.name;
+    holder.append(heading);
+    for (const [path, item] of Object.entries(spec.paths)) {
+      for (const [method, operation] of Object.entries(item)) {
+        if (method !== 'parameters' && operation.tags.includes(tag.name)) {
+          holder.append(createOperation(path, method, operation, item.parameters ?? []));
+        }
+      }
+    }
+  }
+}
+
+// Function to load the OpenAPI document and show it
+async function loadDocs() {
+  const response = await fetch('/openapi.json');
+  if (response.ok) {
+    spec = await response.json();
+    populateDocs();
+  } else {
+    console.error('Failed to load the API description', response);
+  }
+}
+
+loadDocs();
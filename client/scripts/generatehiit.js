@@ -0,0 +1,143 @@
+import { getAssets, convertStoMs } from './script.js';
+
+// This file contains the "Generate for me" option of the custom screen, which asks the server
+// for a HIIT made from the exercise library and shows it before it is saved.
+const generate = {};
+
+// The generated HIIT being previewed, with its seed and total duration
+let preview = null;
+
+// Function to show a short message in the event info bar
+function showEventInfo(message) {
+  generate.eventInfo.textContent = message;
+  generate.eventInfo.style.opacity = '1';
+  setTimeout(() => {
+    generate.eventInfo.style.opacity = '0';
+  }, 3000);
+}
+
+// Function to add a checkbox for each value to a fieldset, named after the option they set
+function addCheckboxes(fieldset, name, values) {
+  for (const value of [...values].sort()) {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.name = name;
+    checkbox.value = value;
+    label.append(checkbox, ` ${value}`);
+    fieldset.append(label);
+  }
+}
+
+// Function to offer the muscle groups and equipment of the exercise library to choose from
+async function loadGenerateOptions() {
+  const response = await fetch('/library');
+  if (!response.ok) {
+    console.error('Failed to load the generate options', response);
+    return;
+  }
+  const library = await response.json();
+  addCheckboxes(
+    generate.focus,
+    'focus',
+    new Set(library.flatMap((entry) => entry.muscle_groups)),
+  );
+  addCheckboxes(
+    generate.equipment,
+    'equipment',
+    new Set(library.flatMap((entry) => entry.equipment)),
+  );
+}
+
+// Function to read the options chosen in the form, leaving the seed out for a new random HIIT
+function generateOptions({ newSeed = false } = {}) {
+  const data = new FormData(generate.form);
+  const options = {
+    duration: Number(data.get('duration')),
+    work_rest_ratio: data.get('work_rest_ratio'),
+    difficulty: data.get('difficulty'),
+    focus: data.getAll('focus'),
+    equipment: data.getAll('equipment'),
+  };
+  if (!newSeed && data.get('seed') !== '') {
+    options.seed = Number(data.get('seed'));
+  }
+  return options;
+}
+
+// Function to ask the server for a HIIT made from the chosen options and preview it
+async function generateHiit(options) {
+  const response = await fetch('/hiits/generate', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(options),
+  });
+  if (response.ok) {
+    preview = await response.json();
+    showPreview();
+  } else if (response.status === 422) {
+    showEventInfo('No exercises fit that focus and equipment');
+  } else {
+    console.error('Failed to generate HIIT', response);
+    showEventInfo('Failed to generate HIIT');
+  }
+}
+
+// Function to show the generated HIIT, so it can be looked over before it is saved
+function showPreview() {
+  const [block] = preview.hiit.blocks;
+  generate.name.textContent = preview.hiit.name;
+  generate.description.textContent = preview.hiit.description;
+  generate.info.textContent = `${block.rounds} Rounds | ${convertStoMs(preview.total_duration)} Mins | Seed ${preview.seed}`;
+  generate.exercises.innerHTML = '';
+  for (const exercise of block.exercises) {
+    const item = document.createElement('li');
+    item.textContent = `${exercise.name} | ${exercise.exercise_duration}s on, ${exercise.rest_duration}s off`;
+    generate.exercises.append(item);
+  }
+  generate.preview.classList.remove('hidden');
+}
+
+// Function to save the previewed HIIT as a new custom HIIT
+async function savePreview() {
+  const response = await fetch('/hiits', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(preview.hiit),
+  });
+  if (response.ok) {
+    preview = null;
+    generate.preview.classList.add('hidden');
+    showEventInfo('HIIT created successfully');
+    getAssets();
+  } else {
+    console.error('Failed to save generated HIIT', response);
+    showEventInfo('Failed to create HIIT');
+  }
+}
+
+// Function to set up the generate option on the custom screen once its content has loaded
+export function initGenerate() {
+  generate.eventInfo = document.querySelector('.event-info');
+  generate.form = document.querySelector('.generate-form');
+  generate.focus = document.querySelector('.generate-focus');
+  generate.equipment = document.querySelector('.generate-equipment');
+  generate.preview = document.querySelector('.generate-preview');
+  generate.name = document.querySelector('.generate-name');
+  generate.description = document.querySelector('.generate-description');
+  generate.info = document.querySelector('.generate-info');
+  generate.exercises = document.querySelector('.generate-exercises');
+  generate.form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    generateHiit(generateOptions());
+  });
+  document
+    .querySelector('.generate-again-btn')
+    .addEventListener('click', () => generateHiit(generateOptions({ newSeed: true })));
+  document.querySelector('.generate-save-btn').addEventListener('click', savePreview);
+  loadGenerateOptions();
+}
@@ -0,0 +1,71 @@
+import { getAssets } from './script.js';
+
+// This file contains functions for passing custom HIITs around as files.
+const transfer = {};
+
+// Function to show a short message in the event info bar
+function showEventInfo(message) {
+  transfer.eventInfo.textContent = message;
+  transfer.eventInfo.style.opacity = '1';
+  setTimeout(() => {
+    transfer.eventInfo.style.opacity = '0';
+  }, 3000);
+}
+
+// Function to send a chosen HIIT file to the server, which creates it as a new custom HIIT
+async function importHiitFile() {
+  const [file] = transfer.fileInput.files;
+  transfer.fileInput.value = '';
+  if (!file) {
+    return;
+  }
+  let hiitFile;
+  try {
+    hiitFile = JSON.parse(await file.text());
+  } catch {
+    showEventInfo('That file is not a HIIT file');
+    return;
+  }
+  const response = await fetch('/hiits/import', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(hiitFile),
+  });
+  if (response.ok) {
+    const hiit = await response.json();
+    showEventInfo(`${hiit.name} imported successfully`);
+    getAssets();
+  } else {
+    console.error('Failed to import HIIT', response);
+    showEventInfo('Failed to import HIIT');
+  }
+}
+
+// Function to set up the import card on the custom screen once its content has loaded
+export function initImport() {
+  transfer.eventInfo = document.querySelector('.event-info');
+  transfer.fileInput = document.querySelector('.import-file');
+  document.querySelector('.importHiitCard').addEventListener('click', (event) => {
+    if (event.target !== transfer.fileInput) {
+      transfer.fileInput.click();
+    }
+  });
+  transfer.fileInput.addEventListener('change', importHiitFile);
+}
+
+// Function to create the button that downloads a HIIT as a file
+export function createExportButton(hiit) {
+  const exportIcon = document.createElement('a');
+  exportIcon.classList.add('export-icon');
+  exportIcon.href = `/hiits/${hiit.hiits_id}/export`;
+  exportIcon.download = '';
+  exportIcon.title = 'Export';
+  exportIcon.innerHTML =
+    '<svg xmlns="http://www.w3.org/2000/svg" height="24px" viewBox="0 -960 960 960" width="24px" fill="#e8eaed"><path d="M480-320 280-520l56-58 104 104v-326h80v326l104-104 56 58-200 200ZM240-160q-33 0-56.5-23.5T160-240v-120h80v120h480v-120h80v120q0 33-23.5 56.5T720-160H240Z"/></svg>';
+  exportIcon.addEventListener('click', (event) => {
+    event.stopPropagation();
+  });
+  return exportIcon;
+}
@@ -0,0 +1,75 @@
+import { getHiitsOfType } from './script.js';
+
+// This file contains the search and filter bars of the default and custom screens.
+
+// How long to wait after the last key press before searching
+const searchDelay = 300;
+
+// Function to find the search bar of the default or custom screen
+function filterForm(type) {
+  return document.querySelector(`.hiit-filters[data-type="${type}"]`);
+}
+
+// Function to build the query string for the HIITs of one type, as narrowed down by its search bar
+export function hiitSearchParams(type) {
+  const params = new URLSearchParams({ include: 'summary', type });
+  const form = filterForm(type);
+  if (form) {
+    for (const [name, value] of new FormData(form)) {
+      if (value) {
+        params.set(name, value);
+      }
+    }
+  }
+  return params;
+}
+
+// Function to check whether anything has been chosen in the search bar of a screen
+export function hasFilters(type) {
+  const form = filterForm(type);
+  return Boolean(form) && [...new FormData(form).values()].some((value) => value);
+}
+
+// Function to add a list of values to a filter drop-down as options
+function addOptions(select, values) {
+  for (const value of [...values].sort()) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = value;
+    select.append(option);
+  }
+}
+
+// Function to offer the muscle groups and equipment used in the exercise library as filters
+async function loadFilterOptions() {
+  const response = await fetch('/library');
+  if (!response.ok) {
+    console.error('Failed to load the filter options', response);
+    return;
+  }
+  const library = await response.json();
+  const muscleGroups = new Set(library.flatMap((entry) => entry.muscle_groups));
+  const equipment = new Set(library.flatMap((entry) => entry.equipment));
+  for (const form of document.querySelectorAll('.hiit-filters')) {
+    addOptions(form.querySelector('[name="tag"]'), muscleGroups);
+    addOptions(form.querySelector('[name="equipment"]'), equipment);
+  }
+}
+
+// Function to set up the search bars once the screen content has loaded
+export function initHiitFilters() {
+  for (const form of document.querySelectorAll('.hiit-filters')) {
+    const type = form.dataset.type;
+    let searchTimer;
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      getHiitsOfType(type);
+    });
+    form.addEventListener('change', () => getHiitsOfType(type));
+    form.querySelector('[name="q"]').addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => getHiitsOfType(type), searchDelay);
+    });
+  }
+  loadFilterOptions();
+}
@@ -1,94 +1,198 @@
 import {
   convertStoM,
-  calculateTotalHiitDuration,
   exercisesArray,
+  currentExerciseIndex,
+  workoutElapsedTime,
+  totalHiitDuration,
+  currentHiit,
+  hiitStartedAt,
+  phaseElapsedTime,
+  amrapRound,
 } from './timer.js';
-import { getAllHiits } from './script.js';
 
 // This file contains functions related to recording and handling completed HIITs in a web application.
-let totalhiits = 0;
-let completedExerciseCount = 0;
-let completedTime = 0;
-let completedHiits = [];
+// Sessions are stored on the server, so the history survives clearing the browser.
+let sessions = [];
 
-// Load data from local storage on page load
+// The key older versions of the app kept their running totals under
+const legacyStorageKey = 'completedHiitData';
+
+// Load data from the server on page load
 window.addEventListener('load', loadData);
 
-// Function to load data from local storage
-function loadData() {
-  const storedData = JSON.parse(localStorage.getItem('completedHiitData'));
-  if (storedData) {
-    totalhiits = storedData.totalhiits;
-    completedExerciseCount = storedData.completedExerciseCount;
-    completedTime = storedData.completedTime;
-    completedHiits = storedData.completedHiits;
+// Function to load the session history, moving any old localStorage history to the server first
+export async function loadData() {
+  await migrateLocalHistory();
+  const response = await fetch('/sessions');
+  if (response.ok) {
+    sessions = await response.json();
     populateDashboard();
     renderCompletedHiits();
+    populateStreaks();
   }
 }
 
-// Function to count completed HIITs
-function countCompletedHiits() {
-  totalhiits += 1;
+// Function to show the current and longest training streaks from the server's statistics
+async function populateStreaks() {
+  const response = await fetch('/stats');
+  if (!response.ok) {
+    return;
+  }
+  const { streaks } = await response.json();
+  document.querySelector('.current-streak').childNodes[0].nodeValue = `${streaks.current} `;
+  document.querySelector('.longest-streak').childNodes[0].nodeValue = `${streaks.longest} `;
 }
 
-// Function to handle completion of a HIIT
-export function handleCompleteHiit() {
-  countCompletedHiits();
-  completedHiitDetails(exercisesArray);
-  populateDashboard();
-  renderCompletedHiits();
-  saveData();
+// Function to convert a minutes format (e.g. 07:45) back to seconds
+function convertMtoS(duration) {
+  const [minutes, seconds] = duration.split(':').map(Number);
+  return minutes * 60 + seconds;
+}
+
+// Function to turn the old localStorage totals into sessions
+function legacySessions(storedData) {
+  const entries = storedData.completedHiits ?? [];
+  if (entries.length === 0) {
+    return [];
+  }
+  // The old history has no dates, so its sessions are dated when they are migrated
+  const migratedAt = new Date().toISOString();
+  // Only the total exercise count was kept, so it is spread over the entries
+  const exercisesEach = Math.floor(storedData.completedExerciseCount / entries.length);
+  const extraExercises = storedData.completedExerciseCount % entries.length;
+  return entries.map((entry, index) => {
+    const duration = convertMtoS(entry.duration);
+    return {
+      hiit_name: entry.name.slice(0, 20),
+      started_at: migratedAt,
+      ended_at: migratedAt,
+      planned_duration: duration,
+      actual_duration: duration,
+      completed_exercises: exercisesEach + (index < extraExercises ? 1 : 0),
+      skipped_exercises: 0,
+    };
+  });
+}
+
+// Function to send the history older versions kept in localStorage to the server, once
+async function migrateLocalHistory() {
+  const storedData = JSON.parse(localStorage.getItem(legacyStorageKey));
+  if (!storedData) {
+    return;
+  }
+  const response = await fetch('/sessions/import', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ sessions: legacySessions(storedData) }),
+  });
+  if (response.ok) {
+    localStorage.removeItem(legacyStorageKey);
+  } else {
+    console.error('Failed to migrate local HIIT history', response);
+  }
+}
+
+// Function to count the exercises an AMRAP got through before its time cap or being left.
+// Its exercises repeat until the time is up, so none of them are skipped.
+function amrapExercises() {
+  return (amrapRound - 1) * exercisesArray.length + currentExerciseIndex;
 }
 
-// Function to calculate and store details of a completed HIIT
-function completedHiitDetails(hiit) {
-  const completedHiitDuration = calculateTotalHiitDuration(hiit);
-  completedTime += completedHiitDuration;
-  getExerciseCount(hiit);
-  getCompletedHiitName(hiit, completedHiitDuration);
+// Function to handle completion of a HIIT
+export function handleCompleteHiit() {
+  if (currentHiit.format === 'amrap') {
+    recordSession(amrapExercises(), 0);
+    return;
+  }
+  recordSession(exercisesArray.length, 0);
 }
 
-// Function to get the count of exercises in a HIIT
-function getExerciseCount(hiit) {
-  const exerciseCount = hiit.length;
-  completedExerciseCount += exerciseCount;
+// Function to handle a HIIT that was left before it was finished
+export function handleIncompleteHiit() {
+  if (currentHiit.format === 'amrap') {
+    recordSession(amrapExercises(), 0);
+    return;
+  }
+  recordSession(
+    currentExerciseIndex,
+    exercisesArray.length - currentExerciseIndex,
+  );
 }
 
-// Function to get the name of a completed HIIT and store it
-async function getCompletedHiitName(exercisesArray, completedDuration) {
-  const hiitId = exercisesArray[0].hiit_id;
-  const hiits = await getAllHiits();
-  const completedHiit = hiits.find((hiit) => hiit.hiits_id === hiitId);
-  const hiitData = {
-    name: completedHiit.name,
-    duration: convertStoM(completedDuration),
+// Function to send the details of a performed HIIT to the server
+async function recordSession(completedExercises, skippedExercises) {
+  // Read the timer state now, before the timer resets it
+  const session = {
+    hiit_id: currentHiit.hiits_id,
+    hiit_name: currentHiit.name.slice(0, 20),
+    started_at: hiitStartedAt.toISOString(),
+    ended_at: new Date().toISOString(),
+    planned_duration: totalHiitDuration,
+    actual_duration: workoutElapsedTime,
+    warm_up_duration: phaseElapsedTime.warm_up,
+    cool_down_duration: phaseElapsedTime.cool_down,
+    completed_exercises: completedExercises,
+    skipped_exercises: skippedExercises,
   };
-  completedHiits.push(hiitData);
-  renderCompletedHiitElement(hiitData);
+
+  const response = await fetch('/sessions', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(session),
+  });
+  if (response.ok) {
+    const savedSession = await response.json();
+    sessions.push(savedSession);
+    populateDashboard();
+    renderCompletedHiitElement(savedSession);
+    populateStreaks();
+  } else {
+    console.error('Failed to record HIIT session', response);
+  }
 }
 
 // Function to render a completed HIIT element
-function renderCompletedHiitElement(hiitData) {
+function renderCompletedHiitElement(session) {
   const completedHiitsHolder = document.querySelector('.finished-hiits-holder');
   const section = document.createElement('section');
   const completedHiitTitle = document.createElement('h3');
-  completedHiitTitle.textContent = hiitData.name;
+  completedHiitTitle.textContent = session.hiit_name;
   const completedHiitDuration = document.createElement('p');
-  completedHiitDuration.textContent = hiitData.duration;
+  completedHiitDuration.textContent = convertStoM(session.actual_duration);
   section.classList.add('completed-hiit');
   section.append(completedHiitTitle, completedHiitDuration);
   completedHiitsHolder.appendChild(section);
 }
 
-// Function to populate the dashboard with total HIITs, total time, and total exercises
+// Function to add up one of the durations of every session
+function totalDuration(field) {
+  return sessions.reduce((total, session) => total + session[field], 0);
+}
+
+// Function to populate the dashboard with total HIITs, total time, and total exercises.
+// The total time is the main workout, the warm-up and cool-down time is shown on its own.
 function populateDashboard() {
+  const totalhiits = sessions.length;
+  const warmUpTime = totalDuration('warm_up_duration');
+  const coolDownTime = totalDuration('cool_down_duration');
+  const completedTime = totalDuration('actual_duration') - warmUpTime - coolDownTime;
+  const completedExerciseCount = sessions.reduce(
+    (total, session) => total + session.completed_exercises,
+    0,
+  );
+
   const totalHiitsElem = document.querySelector('.total-hiits');
   const totalDurationElem = document.querySelector('.total-time');
   const totalExercisesElem = document.querySelector('.total-exercises');
   totalHiitsElem.childNodes[0].nodeValue =
     totalhiits > 9 ? totalhiits : `0${totalhiits}`;
   totalDurationElem.childNodes[0].nodeValue = convertStoM(completedTime);
+  document.querySelector('.warm-up-time').childNodes[0].nodeValue = `${convertStoM(warmUpTime)} `;
+  document.querySelector('.cool-down-time').childNodes[0].nodeValue = `${convertStoM(coolDownTime)} `;
   totalExercisesElem.childNodes[0].nodeValue =
     completedExerciseCount > 9
       ? completedExerciseCount
@@ -99,25 +203,5 @@ function populateDashboard() {
 function renderCompletedHiits() {
   const completedHiitsHolder = document.querySelector('.finished-hiits-holder');
   completedHiitsHolder.innerHTML = '';
-  completedHiits.forEach((hiit) => {
-    const section = document.createElement('section');
-    const completedHiitTitle = document.createElement('h3');
-    completedHiitTitle.textContent = hiit.name;
-    const completedHiitDuration = document.createElement('p');
-    completedHiitDuration.textContent = hiit.duration;
-    section.classList.add('completed-hiit');
-    section.append(completedHiitTitle, completedHiitDuration);
-    completedHiitsHolder.appendChild(section);
-  });
-}
-
-// Function to save data to local storage
-function saveData() {
-  const completedHiitData = {
-    totalhiits,
-    completedExerciseCount,
-    completedTime,
-    completedHiits,
-  };
-  localStorage.setItem('completedHiitData', JSON.stringify(completedHiitData));
+  sessions.forEach(renderCompletedHiitElement);
 }
@@ -1,6 +1,10 @@
 import { start, checkIfScreenIsLeft } from './timer.js';
-import { initi } from './createhiit.js';
-import { createDeletePopup } from './deletehiit.js';
+import { initi, editHiit } from './createhiit.js';
+import { createDeletePopup, loadTrash } from './deletehiit.js';
+import { initAccount } from './account.js';
+import { initImport, createExportButton } from './hiitfile.js';
+import { initGenerate } from './generatehiit.js';
+import { initHiitFilters, hiitSearchParams, hasFilters } from './hiitfilters.js';
 
 // Globals
 // Different pages of the app
@@ -29,6 +33,10 @@ const pages = [
     screen: 'createhiit',
     title: 'Create Hiit',
   },
+  {
+    screen: 'Account',
+    title: 'Account',
+  },
 ];
 
 let theme;
@@ -106,7 +114,8 @@ function setupNav() {
     if (
       page.screen === 'Default' ||
       page.screen === 'Custom' ||
-      page.screen === 'Dashboard'
+      page.screen === 'Dashboard' ||
+      page.screen === 'Account'
     ) {
       ui.mainNav.append(button);
     }
@@ -206,35 +215,40 @@ function loadInitialScreen() {
   showScreen(ui.current);
 }
 
-// Fetch all exercises from the server
-export async function getAllExercises() {
-  const response = await fetch('/exercise');
+// Fetch a single HIIT with its ordered exercises and totals from the server
+export async function getHiit(hiitId) {
+  const response = await fetch(`/hiits/${hiitId}`);
   if (response.ok) {
     return await response.json();
   } else {
-    return [{ msg: 'failed to load exercises :-(' }];
+    return { msg: 'failed to load hiit :-(', blocks: [], exercises: [] };
   }
 }
 
-// Calculate the total duration and exercise count for a specific HIIT
-async function calcHiitInfo(clickedHiit) {
-  const exercise = await getAllExercises();
-  const filteredExercises = exercise.filter(
-    (exercise) => exercise.hiit_id === clickedHiit,
-  );
-  let totalSeconds = 0;
-  let exerciseCount = 0;
+// Names shown for the training formats of a HIIT
+const formatNames = { interval: 'Interval', tabata: 'Tabata', emom: 'EMOM', amrap: 'AMRAP' };
 
-  for (const exercise of filteredExercises) {
-    totalSeconds += exercise.exercise_duration += exercise.rest_duration;
-    exerciseCount++;
-  }
-  return { duration: convertStoMs(totalSeconds), exerciseCount };
+// Format the total duration, exercise count and training format the server gave for a HIIT
+function calcHiitInfo(hiit) {
+  return {
+    duration: convertStoMs(hiit.total_duration),
+    exerciseCount: hiit.exercise_count,
+    format: formatNames[hiit.format] ?? formatNames.interval,
+  };
+}
+
+// Build the badge that shows the training format of a HIIT
+function formatBadge(format) {
+  const badge = document.createElement('p');
+  badge.classList.add('format-badge');
+  badge.textContent = format;
+  return badge;
 }
 
 // Fetch the screen content from the server for a specific screen
 async function fetchScreenContent(screen) {
-  const url = `/screens/${screen}.inc`;
+  // Screen files are named in lower case, which matters on case-sensitive servers
+  const url = `/screens/${screen.toLowerCase()}.inc`;
   const response = await fetch(url);
 
   if (response.ok) {
@@ -263,31 +277,51 @@ export function convertStoMs(seconds) {
   return `${minutes}:${extraSeconds}`;
 }
 
-// Fetch all HIITs from the server
+// Describe how much of an exercise to do: its reps or its time, and whether it is done on each side
+function exerciseAmount(exercise) {
+  if (exercise.reps !== null) {
+    return exercise.sides === 2 ? `${exercise.reps} reps each side` : `${exercise.reps} reps`;
+  }
+  const time = convertStoMs(exercise.exercise_duration);
+  return exercise.sides === 2 ? `${time} | switch sides halfway` : time;
+}
+
+// Fetch all HIITs with their totals from the server
 export async function getAllHiits() {
-  const response = await fetch('/hiits');
-  let hiits;
+  await Promise.all([getHiitsOfType('default'), getHiitsOfType('custom')]);
+}
+
+// Fetch the default or custom HIITs that match the search bar of their screen
+export async function getHiitsOfType(type) {
+  const response = await fetch(`/hiits?${hiitSearchParams(type)}`);
   if (response.ok) {
-    hiits = await response.json();
-    populateHiitCards(hiits);
-    return hiits;
+    populateHiitCards(await response.json(), type);
   } else {
-    hiits = [{ msg: 'failed to load hiits :-(' }];
+    console.error('Failed to load hiits', response);
   }
 }
 
-// Populate the HIIT cards in the UI with data from the server
-export async function populateHiitCards(hiits) {
+// Populate the HIIT cards of one type in the UI with data from the server
+export function populateHiitCards(hiits, type) {
   const defaultHiitCards = document.querySelector('.default-hiit-card');
-  defaultHiitCards.innerHTML = '';
+  const hiitCards = document.querySelector(`.${type}-hiit-card`);
+  hiitCards.innerHTML = '';
+  if (hiits.length === 0 && hasFilters(type)) {
+    const noMatches = document.createElement('p');
+    noMatches.classList.add('no-matches');
+    noMatches.textContent = 'No hiits match your search';
+    hiitCards.append(noMatches);
+  }
 
   for (const hiit of hiits) {
-    const { duration, exerciseCount } = await calcHiitInfo(hiit.hiits_id);
+    const { duration, exerciseCount, format } = calcHiitInfo(hiit);
     const section = document.createElement('section');
     const h3 = document.createElement('h3');
     h3.classList.add('hiit-title');
     h3.textContent = hiit.name;
     section.classList.add('card', hiit.name.replace(/\s+/g, ''));
+    // Names can repeat and hold characters selectors do not allow, so cards are found by their ID
+    section.dataset.hiitId = hiit.hiits_id;
     const hiitInfo = document.createElement('section');
     hiitInfo.classList.add('hiit-info');
 
@@ -315,7 +349,7 @@ export async function populateHiitCards(hiits) {
     svgIcon.append(path);
 
     section.append(h3, hiitInfo);
-    hiitInfo.append(noOfExercises);
+    hiitInfo.append(noOfExercises, formatBadge(format));
 
     section.addEventListener('click', () => {
       buildHiitExercisePage(hiit.hiits_id);
@@ -340,7 +374,7 @@ function checkHiitType(hiit, defaultHiitCards, section, hiitInfo, deleteIcon, sv
   } else if (hiit.type === 'custom') {
     const customHiitCards = document.querySelector('.custom-hiit-card');
     customHiitCards.append(section);
-    hiitInfo.append(deleteIcon);
+    hiitInfo.append(createExportButton(hiit), deleteIcon);
     deleteIcon.append(svgIcon);
   }
 }
@@ -357,10 +391,8 @@ function handleDeleteEvent(deleteIcon, hiit) {
 export async function buildHiitExercisePage(clickedHiit) {
   document.querySelector('.hiit-exercises').innerHTML = '';
   showScreen('Hiit');
-  const hiits = await getAllHiits();
-  const { duration, exerciseCount } = await calcHiitInfo(clickedHiit);
-
-  const clickedHiitObj = hiits.find((hiit) => hiit.hiits_id === clickedHiit);
+  const clickedHiitObj = await getHiit(clickedHiit);
+  const { duration, exerciseCount, format } = calcHiitInfo(clickedHiitObj);
 
   const hiitTitle = document.querySelector('.hiitpage-title');
   hiitTitle.textContent = clickedHiitObj.name;
@@ -372,12 +404,12 @@ export async function buildHiitExercisePage(clickedHiit) {
   noOfExercises.textContent = `${exerciseCount} Exercises`;
 
   const hiitDuration = document.querySelector('.hiitsDuration');
-  hiitDuration.textContent = `${duration} Mins`;
+  // An AMRAP lasts its time cap, so its duration is a cap rather than a sum
+  hiitDuration.textContent =
+    clickedHiitObj.format === 'amrap' ? `${duration} Min cap` : `${duration} Mins`;
 
-  const exercise = await getAllExercises();
-  const filteredExercises = exercise.filter(
-    (exercise) => exercise.hiit_id === clickedHiit,
-  );
+  const hiitFormat = document.querySelector('.hiitsFormat');
+  hiitFormat.textContent = format;
 
   const startHiitBtn = document.createElement('button');
   startHiitBtn.dataset.screen = 'PerformHiit';
@@ -390,16 +422,126 @@ export async function buildHiitExercisePage(clickedHiit) {
     start(clickedHiit);
   });
 
-  handleExerciseCards(filteredExercises);
+  handleExerciseCards(clickedHiitObj);
+
+  if (clickedHiitObj.type === 'custom') {
+    addMoveUpButtons(clickedHiitObj);
+    const editHiitBtn = document.createElement('button');
+    editHiitBtn.classList.add('edit-hiit');
+    editHiitBtn.textContent = 'Edit Hiit';
+    editHiitBtn.addEventListener('click', function () {
+      editHiit(clickedHiitObj);
+    });
+    document.querySelector('.hiit-exercises').append(editHiitBtn);
+  }
+
+  const duplicateHiitBtn = document.createElement('button');
+  duplicateHiitBtn.classList.add('duplicate-hiit');
+  duplicateHiitBtn.textContent = 'Duplicate';
+  duplicateHiitBtn.addEventListener('click', function () {
+    duplicateHiit(clickedHiitObj.hiits_id);
+  });
+  document.querySelector('.hiit-exercises').append(duplicateHiitBtn);
 
   document.querySelector('.hiit-exercises').append(startHiitBtn);
   const hiitName = clickedHiitObj.name;
   return hiitName;
 }
 
-// Handle the exercise cards on the HIIT exercise page
-function handleExerciseCards(filteredExercises) {
-  filteredExercises.forEach((exercise) => {
+// Copy a HIIT into a new custom HIIT and open the copy in the create hiit form
+async function duplicateHiit(hiitId) {
+  const response = await fetch(`/hiits/${hiitId}/clone`, { method: 'POST' });
+  if (response.ok) {
+    const copy = await response.json();
+    getAssets();
+    editHiit(copy);
+  } else {
+    console.error('Failed to duplicate HIIT', response);
+  }
+}
+
+// Add a button to each exercise card of a custom HIIT that moves it one place up within its block
+function addMoveUpButtons(hiit) {
+  const exerciseInfos = document.querySelectorAll('.hiit-exercises .exercise-info');
+  hiit.exercises.forEach((exercise, index) => {
+    if (index === 0 || hiit.exercises[index - 1].block_id !== exercise.block_id) {
+      return;
+    }
+    const moveUpBtn = document.createElement('button');
+    moveUpBtn.classList.add('move-up');
+    moveUpBtn.title = 'Move up';
+    moveUpBtn.innerHTML =
+      '<svg xmlns="http://www.w3.org/2000/svg" height="24px" viewBox="0 -960 960 960" width="24px" fill="#e8eaed"><path d="M440-160v-487L216-423l-56-57 320-320 320 320-56 57-224-224v487h-80Z"/></svg>';
+    moveUpBtn.addEventListener('click', function (event) {
+      event.stopPropagation();
+      const order = hiit.exercises.map((e) => e.exercise_id);
+      order.splice(index - 1, 2, order[index], order[index - 1]);
+      saveExerciseOrder(hiit, order);
+    });
+    exerciseInfos.item(index).append(moveUpBtn);
+  });
+}
+
+// Save a new exercise order for a HIIT and rebuild its page in that order.
+// If the HIIT was changed somewhere else in the meantime, the page is rebuilt with those changes instead.
+async function saveExerciseOrder(hiit, order) {
+  const response = await fetch(`/hiits/${hiit.hiits_id}/exercises/order`, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+      'If-Match': `"${hiit.version}"`,
+    },
+    body: JSON.stringify({ order }),
+  });
+  if (response.ok || response.status === 412) {
+    buildHiitExercisePage(hiit.hiits_id);
+  } else {
+    console.error('Failed to reorder exercises', response);
+  }
+}
+
+// Build the heading shown above the exercises of a block, with its rounds and rests
+function blockHeading(block) {
+  const heading = document.createElement('h4');
+  heading.classList.add('block-heading');
+  const details = [`Block ${block.position + 1}`, `${block.rounds} Rounds`];
+  if (block.rounds > 1 && block.round_rest_duration > 0) {
+    details.push(`${block.round_rest_duration}s rest between rounds`);
+  }
+  heading.textContent = details.join(' | ');
+  return heading;
+}
+
+// Build the heading shown above the warm-up, main workout or cool-down, with how long it takes
+function phaseHeading(hiit, phase) {
+  const heading = document.createElement('h3');
+  heading.classList.add('phase-heading');
+  const mainDuration = hiit.total_duration - hiit.warm_up_duration - hiit.cool_down_duration;
+  const phases = {
+    warm_up: ['Warm-up', hiit.warm_up_duration],
+    main: ['Main workout', mainDuration],
+    cool_down: ['Cool-down', hiit.cool_down_duration],
+  };
+  const [name, duration] = phases[phase];
+  heading.textContent = `${name} | ${convertStoMs(duration)}`;
+  return heading;
+}
+
+// Handle the exercise cards on the HIIT exercise page, under a heading for each block
+// when the HIIT has several blocks or repeats one, and for each phase when it has a warm-up or
+// cool-down
+function handleExerciseCards(hiit) {
+  const showBlocks = hiit.blocks.length > 1 || hiit.blocks.some((block) => block.rounds > 1);
+  const showPhases = hiit.blocks.some((block) => block.phase !== 'main');
+  hiit.exercises.forEach((exercise, index) => {
+    const block = hiit.blocks.find((b) => b.block_id === exercise.block_id);
+    const previousBlock = hiit.blocks.find((b) => b.block_id === hiit.exercises[index - 1]?.block_id);
+    if (showPhases && previousBlock?.phase !== block.phase) {
+      document.querySelector('.hiit-exercises').append(phaseHeading(hiit, block.phase));
+    }
+    if (showBlocks && previousBlock !== block) {
+      document.querySelector('.hiit-exercises').append(blockHeading(block));
+    }
     const exerciseCard = document.createElement('section');
     exerciseCard.classList.add('exercise-card');
 
@@ -407,7 +549,7 @@ function handleExerciseCards(filteredExercises) {
     exerciseTitle.textContent = exercise.name;
 
     const exerciseDuration = document.createElement('p');
-    exerciseDuration.textContent = convertStoMs(exercise.exercise_duration);
+    exerciseDuration.textContent = exerciseAmount(exercise);
 
     const exerciseInfo = document.createElement('section');
     exerciseInfo.classList.add('exercise-info');
@@ -476,17 +618,22 @@ function handleDropdown(content) {
   }
 }
 
-// Fetch all assets (HIITs and exercises) from the server
+// Fetch all assets (HIITs with their totals) from the server
 export async function getAssets() {
   await getAllHiits();
-  await getAllExercises();
 }
 
 // Set up the application
 function setup() {
   getHandles();
   buildScreens();
-  getScreenContent();
+  getScreenContent().then(() => {
+    initAccount();
+    initImport();
+    initGenerate();
+    initHiitFilters();
+    document.querySelector('.trash').addEventListener('toggle', loadTrash);
+  });
   show();
   setupNav();
   window.addEventListener('popstate', loadInitialScreen);
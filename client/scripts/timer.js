@@ -1,5 +1,5 @@
-import { getAllExercises, showScreen } from './script.js';
-import { handleCompleteHiit } from './record.js';
+import { getHiit, showScreen } from './script.js';
+import { handleCompleteHiit, handleIncompleteHiit } from './record.js';
 
 // Import necessary functions from other files
 
@@ -10,6 +10,25 @@ let exerciseElapsedTime = 0;
 let hiitElapsedTime = 0;
 let totalHiitDuration = 0;
 let intervalId = null;
+let currentHiit = null;
+let hiitStartedAt = null;
+let getReadyRemaining = 0;
+
+// Seconds the workout has really taken, which is more than planned when reps take longer
+let workoutElapsedTime = 0;
+
+// Seconds spent on the reps of the current exercise, and whether its first side is done
+let repElapsedTime = 0;
+let firstSideDone = false;
+
+// Seconds spent in each phase of the HIIT so far
+let phaseElapsedTime = { warm_up: 0, main: 0, cool_down: 0 };
+
+// Pass through the exercises of an AMRAP, which repeat until its time cap
+let amrapRound = 1;
+
+// Whether Done was tapped in the current minute of an EMOM, so the rest of the minute is rest
+let minuteDone = false;
 
 // Store the paused state of the timer
 let pausedState = {
@@ -26,6 +45,11 @@ export {
   totalHiitDuration,
   intervalId,
   pausedState,
+  currentHiit,
+  hiitStartedAt,
+  workoutElapsedTime,
+  phaseElapsedTime,
+  amrapRound,
 };
 
 // Object to store timer elements
@@ -34,16 +58,25 @@ const timerElem = {};
 // Increment value for timer
 const increment = 1;
 
+// Seconds of the "get ready" countdown before the first exercise
+const getReadyDuration = 10;
+
+// Names the timer shows for the phases of a HIIT
+const phaseNames = { warm_up: 'Warm-up', main: 'Main workout', cool_down: 'Cool-down' };
+
 // Function to get timer handles
 function getTimerHandles() {
   timerElem.currentExercise = document.querySelector('.current-exercise');
   timerElem.nextExercise = document.querySelector('.next-exercise');
+  timerElem.roundInfo = document.querySelector('.round-info');
+  timerElem.phaseInfo = document.querySelector('.phase-info');
   timerElem.exerciseDescription = document.querySelector('.current-exercise-description');
   timerElem.timer = document.querySelector('.timer');
   timerElem.pauseButton = document.querySelector('.pause');
   timerElem.playButton = document.querySelector('.play');
   timerElem.stateInfo = document.querySelector('.state-info');
   timerElem.restartButton = document.querySelector('.restart');
+  timerElem.doneButton = document.querySelector('.done-btn');
   timerElem.progressBar = document.querySelector('.timer-progress-holder');
 }
 
@@ -62,7 +95,11 @@ function timerRunning() {
   sound.play();
 
   const currentExercise = exercisesArray[currentExerciseIndex];
-  const nextExercise = exercisesArray[currentExerciseIndex + 1];
+  // An AMRAP starts over from its first exercise, so it always has a next one
+  const nextExercise =
+    hiitFormat() === 'amrap'
+      ? exercisesArray[(currentExerciseIndex + 1) % exercisesArray.length]
+      : exercisesArray[currentExerciseIndex + 1];
 
   if (!currentExercise) {
     console.error('Current exercise is undefined');
@@ -77,7 +114,28 @@ function timerRunning() {
   timerElem.exerciseDescription.textContent = currentExerciseDescription;
   timerElem.nextExercise.textContent = 'Next: ' + nextExerciseName;
 
-  moveToNextActivity(currentExercise);
+  moveToNextActivity(currentExercise, nextExercise);
+}
+
+// Function to count down the "get ready" lead-in, then start the first exercise
+function countIn() {
+  sound.play();
+  const firstExercise = exercisesArray[0];
+  timerElem.currentExercise.textContent = 'Get ready';
+  timerElem.exerciseDescription.textContent = `First up: ${firstExercise.name}`;
+  timerElem.nextExercise.textContent = 'Next: ' + firstExercise.name;
+  timerElem.timer.textContent = convertStoM(getReadyRemaining);
+  showPhase(firstExercise);
+  getReadyRemaining -= increment;
+  if (getReadyRemaining === 0) {
+    clearInterval(intervalId);
+    intervalId = setInterval(timerRunning, 1000);
+  }
+}
+
+// Function to run the timer, counting in first while any of the lead-in is left
+function runTimer() {
+  intervalId = setInterval(getReadyRemaining > 0 ? countIn : timerRunning, 1000);
 }
 
 //on and off audio cue
@@ -105,6 +163,10 @@ function togglePlayPause() {
 // Function to check if the screen is left
 export function checkIfScreenIsLeft(currentScreen, newScreen) {
   if (currentScreen === 'PerformHiit' && newScreen !== 'PerformHiit') {
+    // Record the part of the HIIT that was done before leaving it
+    if (workoutElapsedTime > 0) {
+      handleIncompleteHiit();
+    }
     // Reset the necessary variables here
     resetHiitData();
     clearInterval(intervalId);
@@ -115,10 +177,19 @@ export function checkIfScreenIsLeft(currentScreen, newScreen) {
 export function resetHiitData() {
   // Reset the timer-related variables
   exercisesArray = [];
+  currentHiit = null;
+  hiitStartedAt = null;
   currentExerciseIndex = 0;
   exerciseElapsedTime = 0;
   hiitElapsedTime = 0;
   totalHiitDuration = 0;
+  getReadyRemaining = 0;
+  workoutElapsedTime = 0;
+  repElapsedTime = 0;
+  firstSideDone = false;
+  phaseElapsedTime = { warm_up: 0, main: 0, cool_down: 0 };
+  amrapRound = 1;
+  minuteDone = false;
   pausedState = {
     elapsedTime: 0,
     currentExerciseIndex: 0,
@@ -128,6 +199,9 @@ export function resetHiitData() {
 // Function to reset the timer
 function resetTimer() {
   timerElem.timer.textContent = '00:00';
+  timerElem.roundInfo.textContent = '';
+  timerElem.phaseInfo.textContent = '';
+  timerElem.doneButton.classList.add('hidden');
 }
 
 // Function to convert seconds to minutes format
@@ -148,8 +222,138 @@ export function convertStoM(time) {
   return `${formattedMinutes}:${formattedSeconds}`;
 }
 
+// Function to lay the blocks of a HIIT out as the exercises done one after another, round by round.
+// The rest between rounds and after a block is added to the rest of the exercise just before it.
+// The blocks come phase by phase from the server, so the warm-up runs first and the cool-down last.
+export function buildExerciseSequence(hiit) {
+  const sequence = [];
+  hiit.blocks.forEach((block, blockIndex) => {
+    const exercises = hiit.exercises.filter((exercise) => exercise.block_id === block.block_id);
+    for (let round = 1; round <= block.rounds; round++) {
+      exercises.forEach((exercise, index) => {
+        let restDuration = exercise.rest_duration;
+        if (index === exercises.length - 1 && round < block.rounds) {
+          restDuration += block.round_rest_duration;
+        } else if (index === exercises.length - 1 && blockIndex < hiit.blocks.length - 1) {
+          restDuration += block.block_rest_duration;
+        }
+        sequence.push({
+          ...exercise,
+          phase: block.phase ?? 'main',
+          rest_duration: restDuration,
+          round,
+          rounds: block.rounds,
+        });
+      });
+    }
+  });
+  return sequence;
+}
+
+// Function to get the format of the running HIIT, older HIITs being intervals
+function hiitFormat() {
+  return currentHiit?.format ?? 'interval';
+}
+
+// Function to show which round of its block an exercise is in, for blocks done more than once.
+// An AMRAP shows how many times its exercises have been started and how long is left instead.
+function showRound(exercise) {
+  if (hiitFormat() === 'amrap') {
+    timerElem.roundInfo.textContent = `Round ${amrapRound} | ${convertStoM(totalHiitDuration - hiitElapsedTime)} left`;
+    return;
+  }
+  timerElem.roundInfo.textContent =
+    exercise.rounds > 1 ? `Round ${exercise.round}/${exercise.rounds}` : '';
+}
+
+// Function to show which phase of the HIIT is running, for HIITs with a warm-up or cool-down
+function showPhase(exercise) {
+  const hasPhases = exercisesArray.some((entry) => entry.phase !== 'main');
+  timerElem.phaseInfo.textContent = hasPhases ? phaseNames[exercise.phase] : '';
+}
+
+// Function to describe the rest after an exercise, which is longer before a new round or block
+function restDescription(currentExercise, nextExercise, restDuration) {
+  if (nextExercise && nextExercise.phase !== currentExercise.phase) {
+    return `Take a ${restDuration} Second rest before the ${phaseNames[nextExercise.phase].toLowerCase()}`;
+  }
+  if (nextExercise && nextExercise.block_id !== currentExercise.block_id) {
+    return `Take a ${restDuration} Second rest before the next block`;
+  }
+  if (nextExercise && nextExercise.round !== currentExercise.round) {
+    return `Take a ${restDuration} Second rest before round ${nextExercise.round}/${nextExercise.rounds}`;
+  }
+  return `Take a ${restDuration} Second rest`;
+}
+
+// Function to check whether the reps of an exercise are still being done
+function doingReps(exercise) {
+  return exercise.reps !== null && exerciseElapsedTime < exercise.exercise_duration;
+}
+
+// Function to check whether the timer is waiting for the reps of an exercise to be done.
+// An EMOM never waits, the reps have to fit in their minute.
+function waitingForReps(exercise) {
+  return hiitFormat() !== 'emom' && doingReps(exercise);
+}
+
+// Function to count how long the reps of an exercise are taking, until Done is tapped
+function countReps(exercise) {
+  repElapsedTime += increment;
+  timerElem.timer.textContent = convertStoM(repElapsedTime);
+  timerElem.currentExercise.textContent = exercise.name;
+  const side = exercise.sides === 2 ? ` on the ${firstSideDone ? 'second' : 'first'} side` : '';
+  timerElem.exerciseDescription.textContent = `Do ${exercise.reps} reps${side}, then tap Done`;
+  timerElem.doneButton.classList.remove('hidden');
+}
+
+// Function to finish the reps of the current exercise, or its first side, when Done is tapped
+function finishReps() {
+  const currentExercise = exercisesArray[currentExerciseIndex];
+  // Taps while paused or outside of reps are ignored, so they cannot jump ahead
+  if (
+    !currentExercise ||
+    !doingReps(currentExercise) ||
+    minuteDone ||
+    timerElem.pauseButton.classList.contains('hidden')
+  ) {
+    return;
+  }
+  if (currentExercise.sides === 2 && !firstSideDone) {
+    firstSideDone = true;
+    switchSides();
+    return;
+  }
+  if (hiitFormat() === 'emom') {
+    // The minute keeps running, what is left of it becomes rest
+    minuteDone = true;
+  } else {
+    // The reps count as the time they were planned to take, so the rest starts on time.
+    // An AMRAP's clock has kept running through the reps, so it does not jump.
+    if (hiitFormat() !== 'amrap') {
+      hiitElapsedTime += currentExercise.exercise_duration - exerciseElapsedTime;
+    }
+    exerciseElapsedTime = currentExercise.exercise_duration;
+  }
+  repElapsedTime = 0;
+  firstSideDone = false;
+  timerElem.doneButton.classList.add('hidden');
+}
+
+// Function to cue the switch to the other side of an exercise done on each side
+function switchSides() {
+  timerElem.stateInfo.textContent = 'Switch sides';
+  timerElem.stateInfo.style.opacity = '1';
+  setTimeout(() => {
+    timerElem.stateInfo.style.opacity = '0';
+  }, 3000);
+  if (!sound.muted && 'speechSynthesis' in window) {
+    window.speechSynthesis.speak(new SpeechSynthesisUtterance('Switch sides'));
+  }
+}
+
 // Function to move to the next activity
-function moveToNextActivity(currentExercise) {
+function moveToNextActivity(currentExercise, nextExercise) {
   const actualExerciseDuration = currentExercise.exercise_duration;
   const actualRestDuration = currentExercise.rest_duration;
 
@@ -160,23 +364,65 @@ function moveToNextActivity(currentExercise) {
   const totalExerciseDuration = actualExerciseDuration + actualRestDuration;
   const remainingTime =
     currentDuration - (exerciseElapsedTime % currentDuration);
+  // An EMOM counts down to the next minute, work and rest together
+  const minuteRemaining = totalExerciseDuration - exerciseElapsedTime;
 
   if (exerciseElapsedTime === totalExerciseDuration) {
     currentExerciseIndex++;
     exerciseElapsedTime = 0;
+    firstSideDone = false;
+    minuteDone = false;
+    if (hiitFormat() === 'amrap' && currentExerciseIndex === exercisesArray.length) {
+      currentExerciseIndex = 0;
+      amrapRound++;
+    }
+  } else if (waitingForReps(currentExercise)) {
+    // The time cap of an AMRAP counts down while the reps are done
+    if (hiitFormat() === 'amrap') {
+      hiitElapsedTime += increment;
+      updateProgressBar();
+    }
+    workoutElapsedTime += increment;
+    phaseElapsedTime[currentExercise.phase] += increment;
+    countReps(currentExercise);
+    showRound(currentExercise);
+    showPhase(currentExercise);
   } else {
     hiitElapsedTime += increment;
     exerciseElapsedTime += increment;
+    workoutElapsedTime += increment;
+    phaseElapsedTime[currentExercise.phase] += increment;
     updateProgressBar();
+    // A timed exercise done on each side switches halfway through
+    if (
+      currentExercise.sides === 2 &&
+      exerciseElapsedTime === Math.floor(actualExerciseDuration / 2)
+    ) {
+      switchSides();
+    }
 
-    timerElem.timer.textContent = convertStoM(remainingTime);
-    if (exerciseElapsedTime >= actualExerciseDuration) {
+    timerElem.timer.textContent = convertStoM(
+      hiitFormat() === 'emom' ? minuteRemaining : remainingTime,
+    );
+    if (hiitFormat() === 'emom' && doingReps(currentExercise) && !minuteDone) {
+      timerElem.currentExercise.textContent = currentExercise.name;
+      const side = currentExercise.sides === 2 ? ' on each side' : '';
+      timerElem.exerciseDescription.textContent = `Do ${currentExercise.reps} reps${side}, then tap Done and rest until the next minute`;
+      timerElem.doneButton.classList.remove('hidden');
+    } else if (exerciseElapsedTime >= actualExerciseDuration || minuteDone) {
+      timerElem.doneButton.classList.add('hidden');
       timerElem.currentExercise.textContent = 'Rest';
-      timerElem.exerciseDescription.textContent = `Take a ${actualRestDuration} Second rest`;
+      timerElem.exerciseDescription.textContent = restDescription(
+        currentExercise,
+        nextExercise,
+        actualRestDuration,
+      );
     } else {
       timerElem.currentExercise.textContent = currentExercise.name;
       timerElem.exerciseDescription.textContent = currentExercise.description;
     }
+    showRound(currentExercise);
+    showPhase(currentExercise);
   }
 }
 
@@ -186,7 +432,7 @@ function updateProgressBar() {
   timerElem.progressBar.style.setProperty('--progress', `${progress}%`);
 }
 
-// Function to calculate total HIIT duration
+// Function to calculate total HIIT duration from its sequence of exercises, every round included
 export function calculateTotalHiitDuration(Hiit) {
   totalHiitDuration = Hiit.reduce(
     (total, exercise) =>
@@ -196,11 +442,20 @@ export function calculateTotalHiitDuration(Hiit) {
   return totalHiitDuration;
 }
 
+// Whether the timer listeners have been registered
+let initialised = false;
+
 // Function to add event listeners
 function addEventListeners() {
+  // The timer buttons stay on the page between HIITs, so only register the listeners once
+  if (initialised) {
+    return;
+  }
   timerElem.pauseButton.addEventListener('click', pauseTimer);
   timerElem.playButton.addEventListener('click', resumeTimer);
   timerElem.restartButton.addEventListener('click', stopTimer);
+  timerElem.doneButton.addEventListener('click', finishReps);
+  initialised = true;
 }
 
 // Function to pause the timer
@@ -232,8 +487,8 @@ function resumeTimer() {
   setTimeout(() => {
     timerElem.stateInfo.style.opacity = '0';
   }, 3000);
-  // Resume the timer interval
-  intervalId = setInterval(timerRunning, 1000);
+  // Resume the timer interval, still counting in if the lead-in was paused
+  runTimer();
 }
 
 // Function to stop the timer and restart
@@ -255,9 +510,18 @@ function stopTimer() {
   currentExerciseIndex = 0;
   exerciseElapsedTime = 0;
   hiitElapsedTime = 0;
-
-  // Start the timer again
-  intervalId = setInterval(timerRunning, 1000);
+  workoutElapsedTime = 0;
+  repElapsedTime = 0;
+  firstSideDone = false;
+  minuteDone = false;
+  amrapRound = 1;
+  timerElem.doneButton.classList.add('hidden');
+  phaseElapsedTime = { warm_up: 0, main: 0, cool_down: 0 };
+  getReadyRemaining = exercisesArray.length > 0 ? getReadyDuration : 0;
+  hiitStartedAt = new Date();
+
+  // Start the timer again, from the lead-in
+  runTimer();
 }
 
 // Function to start the timer
@@ -265,20 +529,24 @@ export async function start(clickedHiit) {
   getTimerHandles();
   showScreen('PerformHiit');
 
-  const exercises = await getAllExercises();
-  const filteredExercises = exercises.filter(
-    (exercise) => exercise.hiit_id === clickedHiit,
-  );
+  const hiit = await getHiit(clickedHiit);
 
-  exercisesArray = filteredExercises;
-  calculateTotalHiitDuration(filteredExercises);
+  currentHiit = hiit;
+  exercisesArray = buildExerciseSequence(hiit);
+  calculateTotalHiitDuration(exercisesArray);
+  // An AMRAP runs for its time cap, however many times its exercises fit in
+  if (hiit.format === 'amrap') {
+    totalHiitDuration = hiit.time_cap;
+  }
 
   // Check if the timer was paused and needs to be resumed
   if (pausedState.elapsedTime > 0) {
     resumeTimer();
   } else {
-    // Start the timer interval
-    intervalId = setInterval(timerRunning, 1000);
+    // Start the timer interval with the "get ready" lead-in
+    hiitStartedAt = new Date();
+    getReadyRemaining = exercisesArray.length > 0 ? getReadyDuration : 0;
+    runTimer();
     addEventListeners();
   }
   togglePlayPause();
@@ -0,0 +1,13 @@
+// Settings of the server, read from the environment so each deployment can choose its own
+export const config = {
+  storage: {
+    // Which storage backend keeps the data: 'sqlite' or 'memory'
+    backend: process.env.SEEFIT_STORAGE ?? 'sqlite',
+    // The database file of the sqlite backend
+    path: process.env.SEEFIT_DB_PATH ?? './database.sqlite',
+  },
+  log: {
+    // The least severe logs that are written: 'error', 'warn', 'info', 'debug', or 'silent' for none
+    level: process.env.SEEFIT_LOG_LEVEL ?? 'info',
+  },
+};
@@ -0,0 +1,139 @@
+// Settings of each difficulty a hiit can be generated at: the seconds of work of every exercise,
+// how many exercises a round has and the seconds rested between rounds
+const difficulties = {
+  beginner: { work: 20, exercises: 4, roundRest: 60 },
+  intermediate: { work: 30, exercises: 6, roundRest: 45 },
+  advanced: { work: 40, exercises: 8, roundRest: 30 },
+};
+
+// Difficulties a hiit can be generated at, easiest first
+export const difficultyNames = Object.keys(difficulties);
+
+// Work:rest ratio a hiit is generated with when none is asked for
+export const defaultRatio = '2:1';
+
+// Function to make a random number generator that gives the same numbers for the same seed.
+// This is mulberry32, which is small and plenty random enough to pick exercises with.
+export function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Function to make a new seed for a generated hiit that was not given one
+export function newSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+// Function to shuffle a copy of a list with a random number generator (Fisher-Yates)
+function shuffle(list, random) {
+  const shuffled = [...list];
+  for (let index = shuffled.length - 1; index > 0; index--) {
+    const other = Math.floor(random() * (index + 1));
+    [shuffled[index], shuffled[other]] = [shuffled[other], shuffled[index]];
+  }
+  return shuffled;
+}
+
+// Function to read a work:rest ratio such as 2:1 into its two parts
+export function parseRatio(ratio) {
+  const [work, rest] = ratio.split(':').map(Number);
+  return { work, rest };
+}
+
+// Function to pick the exercises of a round, taking one for each focus area in turn so that
+// no area gets far more exercises than the others and the same area is rarely worked twice in a row.
+// Without a focus every muscle group of the library is an area, plus one for untagged entries.
+function pickExercises(entries, focus, count, random) {
+  const areas = focus.length > 0 ? focus : [...new Set(entries.flatMap((e) => e.muscle_groups))];
+  const pools = shuffle(areas, random).map((area) =>
+    shuffle(entries.filter((entry) => entry.muscle_groups.includes(area)), random),
+  );
+  if (focus.length === 0) {
+    pools.push(shuffle(entries.filter((entry) => entry.muscle_groups.length === 0), random));
+  }
+  const picked = [];
+  while (picked.length < count && pools.some((pool) => pool.length > 0)) {
+    for (const pool of pools) {
+      // An entry in several areas may already have been picked for another one
+      while (pool.length > 0 && picked.includes(pool[0])) {
+        pool.shift();
+      }
+      if (pool.length > 0 && picked.length < count) {
+        picked.push(pool.shift());
+      }
+    }
+  }
+  return picked;
+}
+
+// Function to generate a hiit of a single block from the library entries a user can see, as close
+// to the asked duration as whole rounds allow. Only entries that need no equipment, or nothing but
+// the equipment allowed, are used, and with a focus only entries working one of its muscle groups.
+// The same library and options with the same seed always give the same hiit.
+// Gives null when no library entry fits the options.
+export function generateHiit(
+  library,
+  { duration, ratio = defaultRatio, equipment = [], focus = [], difficulty = 'intermediate', seed },
+) {
+  const settings = difficulties[difficulty];
+  const entries = library.filter(
+    (entry) =>
+      entry.equipment.every((item) => equipment.includes(item)) &&
+      (focus.length === 0 || entry.muscle_groups.some((group) => focus.includes(group))),
+  );
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const parts = parseRatio(ratio);
+  const work = settings.work;
+  const rest = Math.max(1, Math.round((work * parts.rest) / parts.work));
+  // A short hiit has fewer exercises, so that it still fits at least one round
+  const count = Math.min(settings.exercises, Math.max(1, Math.floor(duration / (work + rest))));
+  const exercises = pickExercises(entries, focus, count, seededRandom(seed));
+  const roundDuration = exercises.length * (work + rest);
+  const rounds = Math.max(
+    1,
+    Math.round((duration + settings.roundRest) / (roundDuration + settings.roundRest)),
+  );
+
+  const totalDuration = rounds * roundDuration + (rounds - 1) * settings.roundRest;
+  const minutes = Math.round(totalDuration / 60);
+  const level = difficulty[0].toUpperCase() + difficulty.slice(1);
+  const areas = focus.length > 0 ? focus.join(', ') : 'full body';
+  const kit = equipment.length > 0 ? equipment.join(', ') : 'no equipment';
+  return {
+    seed,
+    total_duration: totalDuration,
+    hiit: {
+      name: `${minutes} Min ${level}`,
+      description: `A generated ${level.toLowerCase()} workout for ${areas}, using ${kit}: ${exercises.length} exercises of ${work} seconds with ${rest} seconds of rest, done ${rounds} times.`,
+      type: 'custom',
+      format: 'interval',
+      time_cap: null,
+      blocks: [
+        {
+          phase: 'main',
+          rounds,
+          round_rest_duration: rounds > 1 ? settings.roundRest : 0,
+          block_rest_duration: 0,
+          exercises: exercises.map((entry) => ({
+            library_id: entry.library_id,
+            name: entry.name,
+            description: entry.description,
+            exercise_duration: work,
+            rest_duration: rest,
+            reps: null,
+            sides: 1,
+          })),
+        },
+      ],
+    },
+  };
+}
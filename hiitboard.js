@@ -1,66 +1,938 @@
-import { open } from 'sqlite';
-import sqlite3 from 'sqlite3';
-
-// Function to initialize the database connection
-async function init() {
-  const db = await open({
-    filename: './database.sqlite',
-    driver: sqlite3.Database,
-    verbose: true,
-  });
-  await db.migrate({ migrationsPath: './migrations-sqlite' });
+import { openStorage, pendingMigrations } from './storage.js';
+import { config } from './config.js';
+import { v4 as uuidv4 } from 'uuid';
+import fs from 'fs';
+
+// The default hiits, kept as a versioned fixture instead of in the migrations
+const defaultHiits = JSON.parse(
+  fs.readFileSync(new URL('./fixtures/default-hiits.json', import.meta.url), 'utf8'),
+);
+
+// The database connection, opened from the configured storage on first use unless useStorage() chose one
+let dbConn;
+
+// Function to choose the storage backend the hiits are kept in
+export function useStorage(options) {
+  dbConn = openDatabase(options);
+  return dbConn;
+}
+
+// Function to close the database connection, so the next query opens the configured storage again
+export async function closeStorage() {
+  if (dbConn) {
+    const db = await dbConn;
+    dbConn = undefined;
+    await db.close();
+  }
+}
+
+// Function to check that the database answers, listing any migrations it is still missing
+export async function checkDatabase() {
+  const db = await database();
+  await db.get('SELECT 1');
+  return pendingMigrations(db);
+}
+
+// Function to count the hiits of each type, leaving out the trash, and the recorded sessions
+export async function countRecords() {
+  const db = await database();
+  const hiits = await db.all(
+    'SELECT type, COUNT(*) AS count FROM Hiits WHERE deleted_at IS NULL GROUP BY type',
+  );
+  const { sessions } = await db.get('SELECT COUNT(*) AS sessions FROM Sessions');
+  return { hiits, sessions };
+}
+
+// Function to get the database connection
+function database() {
+  if (!dbConn) {
+    dbConn = openDatabase(config.storage);
+  }
+  return dbConn;
+}
+
+// Function to run a unit of work on a connection in a transaction, rolling it back if anything fails
+async function inTransaction(db, work) {
+  await db.run('BEGIN TRANSACTION');
+  try {
+    const value = await work(db);
+    await db.run('COMMIT');
+    return value;
+  } catch (error) {
+    await db.run('ROLLBACK');
+    throw error;
+  }
+}
+
+// Writes share the one connection, so they are queued to run one at a time. A write made while a
+// transaction is open would become part of it, and be undone with it if the transaction rolls back.
+let writeQueue = Promise.resolve();
+
+// Function to run a unit of work that writes on the shared connection once the writes before it are done
+async function write(work) {
+  const db = await database();
+  const result = writeQueue.then(() => work(db));
+  writeQueue = result.catch(() => {});
+  return result;
+}
+
+// Function to run a unit of work in a transaction on the shared connection
+function transaction(work) {
+  return write((db) => inTransaction(db, work));
+}
+
+// Function to open the storage and bring the default hiits up to date with their fixture.
+// Nothing else can use the connection until it is open, so this transaction needs no queue.
+async function openDatabase(options) {
+  const db = await openStorage(options);
+  const seed = await db.get("SELECT version FROM Seeds WHERE name = 'default-hiits'");
+  if (!seed || seed.version < defaultHiits.version) {
+    await inTransaction(db, writeDefaultHiits);
+  }
   return db;
 }
 
-// Initialize the database connection
-const dbConn = init();
+// Library entries a user can see: the shared ones and their own
+const visibleLibrary = '(Library.owner_id IS NULL OR Library.owner_id = ?)';
+
+// Columns of an exercise slot, with the name and description of the library entry it uses
+const exerciseColumns = `Exercise.exercise_id, Library.name, Library.description,
+  Exercise.exercise_duration, Exercise.rest_duration, Exercise.hiit_id, Exercise.position,
+  Exercise.library_id, Exercise.block_id, Exercise.reps, Exercise.sides`;
+
+// Function to find the library entry an exercise typed in by hand matches, adding one if none does
+async function libraryIdFor(db, exercise, ownerId) {
+  if (exercise.library_id) {
+    return exercise.library_id;
+  }
+  const match = await db.get(
+    `SELECT library_id FROM Library
+    WHERE name = ? AND description = ? AND ${visibleLibrary}
+    ORDER BY owner_id IS NULL DESC, library_id
+    LIMIT 1`,
+    [exercise.name, exercise.description, ownerId],
+  );
+  if (match) {
+    return match.library_id;
+  }
+  const result = await db.run(
+    'INSERT INTO Library (name, description, owner_id) VALUES (?, ?, ?)',
+    [exercise.name, exercise.description, ownerId],
+  );
+  return result.lastID;
+}
+
+// Phases of a Hiit in the order they are done. Blocks without a phase are part of the main workout.
+export const phases = ['warm_up', 'main', 'cool_down'];
+
+// Function to find where the phase of a block comes in a Hiit
+function phaseOrder(block) {
+  return phases.indexOf(block.phase ?? 'main');
+}
+
+// Function to insert the blocks of a Hiit and their exercises, phase by phase and otherwise in the
+// order they are given in. Exercises are numbered through the whole Hiit, so their positions never
+// clash across blocks.
+async function insertBlocks(db, id, blocks, ownerId) {
+  let position = 0;
+  const ordered = [...blocks].sort((a, b) => phaseOrder(a) - phaseOrder(b));
+  for (const [blockPosition, block] of ordered.entries()) {
+    const result = await db.run(
+      `INSERT INTO Blocks (hiit_id, position, phase, rounds, round_rest_duration, block_rest_duration)
+      VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        id,
+        blockPosition,
+        block.phase ?? 'main',
+        block.rounds ?? 1,
+        block.round_rest_duration ?? 0,
+        block.block_rest_duration ?? 0,
+      ],
+    );
+    for (const exercise of block.exercises) {
+      await db.run(
+        `INSERT INTO Exercise (library_id, exercise_duration, rest_duration, hiit_id, position, block_id,
+          reps, sides)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          await libraryIdFor(db, exercise, ownerId),
+          exercise.exercise_duration,
+          exercise.rest_duration,
+          id,
+          position,
+          result.lastID,
+          exercise.reps ?? null,
+          exercise.sides ?? 1,
+        ],
+      );
+      position += 1;
+    }
+  }
+}
+
+// Function to put a flat list of exercises into a single block of one round, as hiits were before blocks
+export function singleBlock(exercises) {
+  if (exercises.length === 0) {
+    return [];
+  }
+  return [{ phase: 'main', rounds: 1, round_rest_duration: 0, block_rest_duration: 0, exercises }];
+}
+
+// Function to nest the exercises of a loaded Hiit inside the blocks they belong to
+export function blocksWithExercises(hiit) {
+  return hiit.blocks.map((block) => ({
+    ...block,
+    exercises: hiit.exercises.filter((exercise) => exercise.block_id === block.block_id),
+  }));
+}
+
+// Function to work out the exercise count and total durations of a list of exercises.
+// Each exercise is done once per round of its block, and the blocks add their rests between rounds
+// and before the next block. The time spent in the warm-up and cool-down is also totalled on its own.
+export function summariseExercises(exercises, blocks = []) {
+  const summary = {
+    exercise_count: exercises.length,
+    total_work_duration: 0,
+    total_rest_duration: 0,
+    total_duration: 0,
+    warm_up_duration: 0,
+    cool_down_duration: 0,
+  };
+  const phaseDurations = { warm_up: 0, main: 0, cool_down: 0 };
+  for (const exercise of exercises) {
+    const block = blocks.find((b) => b.block_id === exercise.block_id);
+    const rounds = block?.rounds ?? 1;
+    summary.total_work_duration += exercise.exercise_duration * rounds;
+    summary.total_rest_duration += exercise.rest_duration * rounds;
+    phaseDurations[block?.phase ?? 'main'] +=
+      (exercise.exercise_duration + exercise.rest_duration) * rounds;
+  }
+  blocks.forEach((block, index) => {
+    let blockRest = (block.rounds - 1) * block.round_rest_duration;
+    if (index < blocks.length - 1) {
+      blockRest += block.block_rest_duration;
+    }
+    summary.total_rest_duration += blockRest;
+    phaseDurations[block.phase ?? 'main'] += blockRest;
+  });
+  summary.total_duration = summary.total_work_duration + summary.total_rest_duration;
+  summary.warm_up_duration = phaseDurations.warm_up;
+  summary.cool_down_duration = phaseDurations.cool_down;
+  return summary;
+}
+
+// Function to load a Hiit together with its blocks, ordered exercises and totals
+export async function getHiit(id) {
+  const hiit = await findHiit(id);
+  if (!hiit) {
+    return undefined;
+  }
+  const blocks = await listHiitBlocks(id);
+  const exercises = await listHiitExercises(id);
+  const summary = summariseExercises(exercises, blocks);
+  // An AMRAP lasts as long as its time cap, however many rounds of its exercises fit into it
+  if (hiit.format === 'amrap') {
+    summary.total_duration = hiit.time_cap;
+  }
+  return { ...hiit, ...summary, blocks, exercises };
+}
 
-// Function to list all Hiits
-export async function listHiits() {
-  const db = await dbConn;
-  return db.all('SELECT * FROM Hiits');
+// Function to get the version of all the data the read routes send, and when it last changed
+export async function getDataVersion() {
+  const db = await database();
+  return db.get('SELECT version, modified_at FROM DataVersion');
 }
 
-// Function to find a Hiit by its ID
+// Hiits a user can see: the defaults, shared custom hiits without an owner, and their own
+const visibleHiits = "(Hiits.type = 'default' OR Hiits.owner_id IS NULL OR Hiits.owner_id = ?)";
+
+// Hiits that are not in the trash
+const liveHiits = 'Hiits.deleted_at IS NULL';
+
+// Training formats a Hiit can be done in, which the timer runs differently
+export const formats = ['interval', 'tabata', 'emom', 'amrap'];
+
+// How many days a deleted Hiit can be restored from the trash for
+export const trashRetentionDays = 30;
+
+// Columns only returned when a list of Hiits is asked for with its summary
+const summaryColumns = [
+  'exercise_count',
+  'total_work_duration',
+  'total_rest_duration',
+  'total_duration',
+  'last_performed',
+];
+
+// Ways a list of Hiits can be sorted, and the direction each one sorts in unless told otherwise
+const hiitSorts = {
+  name: { column: 'Hiits.name COLLATE NOCASE', order: 'asc' },
+  duration: { column: 'total_duration', order: 'asc' },
+  recent: { column: 'last_performed', order: 'desc' },
+};
+
+export const hiitSortNames = Object.keys(hiitSorts);
+
+// Rest a Hiit's blocks add between their rounds, and after each block that has another one after it
+const blockRestDuration = `(SELECT COALESCE(SUM((block.rounds - 1) * block.round_rest_duration
+    + CASE WHEN EXISTS (
+      SELECT 1 FROM Blocks AS later
+      WHERE later.hiit_id = block.hiit_id AND later.position > block.position
+    ) THEN block.block_rest_duration ELSE 0 END), 0)
+  FROM Blocks AS block WHERE block.hiit_id = Hiits.hiits_id)`;
+
+// Condition that a Hiit has an exercise whose library entry lists a value in one of its JSON columns
+function hiitHasLibraryValue(column) {
+  return `EXISTS (
+    SELECT 1 FROM Exercise AS slot
+    JOIN Library ON Library.library_id = slot.library_id, json_each(Library.${column})
+    WHERE slot.hiit_id = Hiits.hiits_id AND json_each.value = ?
+  )`;
+}
+
+// Function to build the WHERE and HAVING clauses of a search through the Hiits a user can see
+function hiitFilter({ userId = null, q, type, tag, equipment, minDuration, maxDuration }) {
+  const conditions = [liveHiits, visibleHiits];
+  const params = [userId];
+  if (q) {
+    conditions.push("(Hiits.name LIKE ? ESCAPE '\\' OR Hiits.description LIKE ? ESCAPE '\\')");
+    const pattern = `%${q.replace(/[\\%_]/g, '\\$&')}%`;
+    params.push(pattern, pattern);
+  }
+  if (type) {
+    conditions.push('Hiits.type = ?');
+    params.push(type);
+  }
+  if (tag) {
+    conditions.push(hiitHasLibraryValue('muscle_groups'));
+    params.push(tag);
+  }
+  if (equipment === 'none') {
+    conditions.push(`NOT EXISTS (
+      SELECT 1 FROM Exercise AS slot
+      JOIN Library ON Library.library_id = slot.library_id
+      WHERE slot.hiit_id = Hiits.hiits_id AND json_array_length(Library.equipment) > 0
+    )`);
+  } else if (equipment) {
+    conditions.push(hiitHasLibraryValue('equipment'));
+    params.push(equipment);
+  }
+  const totals = [];
+  const totalParams = [];
+  if (minDuration !== undefined) {
+    totals.push('total_duration >= ?');
+    totalParams.push(minDuration);
+  }
+  if (maxDuration !== undefined) {
+    totals.push('total_duration <= ?');
+    totalParams.push(maxDuration);
+  }
+  return {
+    where: `WHERE ${conditions.join(' AND ')}`,
+    having: totals.length ? `HAVING ${totals.join(' AND ')}` : '',
+    params: [...params, ...totalParams],
+  };
+}
+
+// Function to search, sort and page through the Hiits a user can see.
+// Resolves to the page of Hiits and the total number that matched.
+export async function searchHiits(options = {}) {
+  const db = await database();
+  const { summary = false, userId = null, sort, order, limit = -1, offset = 0 } = options;
+  const { where, having, params } = hiitFilter(options);
+  const sorting = hiitSorts[sort];
+  const orderBy = sorting
+    ? `${sorting.column} IS NULL, ${sorting.column} ${(order ?? sorting.order).toUpperCase()}, `
+    : '';
+  const rows = await db.all(
+    `SELECT Hiits.*,
+      COUNT(Exercise.exercise_id) AS exercise_count,
+      COALESCE(SUM(Exercise.exercise_duration * Blocks.rounds), 0) AS total_work_duration,
+      COALESCE(SUM(Exercise.rest_duration * Blocks.rounds), 0)
+        + ${blockRestDuration} AS total_rest_duration,
+      CASE WHEN Hiits.format = 'amrap' THEN Hiits.time_cap
+        ELSE COALESCE(SUM((Exercise.exercise_duration + Exercise.rest_duration) * Blocks.rounds), 0)
+          + ${blockRestDuration}
+      END AS total_duration,
+      (SELECT MAX(started_at) FROM Sessions
+        WHERE Sessions.hiit_id = Hiits.hiits_id AND Sessions.user_id IS ?) AS last_performed,
+      COUNT(*) OVER () AS total_count
+    FROM Hiits
+    LEFT JOIN Exercise ON Exercise.hiit_id = Hiits.hiits_id
+    LEFT JOIN Blocks ON Blocks.block_id = Exercise.block_id
+    ${where}
+    GROUP BY Hiits.hiits_id
+    ${having}
+    ORDER BY ${orderBy}Hiits.rowid
+    LIMIT ? OFFSET ?`,
+    [userId, ...params, limit, offset],
+  );
+  const hiits = rows.map((row) => {
+    const hiit = { ...row };
+    delete hiit.total_count;
+    if (!summary) {
+      for (const column of summaryColumns) {
+        delete hiit[column];
+      }
+    }
+    return hiit;
+  });
+  return { hiits, total: rows[0]?.total_count ?? 0 };
+}
+
+// Function to list the Hiits a user can see, optionally with each one's exercise count and totals
+export async function listHiits(options = {}) {
+  const { hiits } = await searchHiits(options);
+  return hiits;
+}
+
+// Function to find a Hiit by its ID, unless it is in the trash
 export async function findHiit(id) {
-  const db = await dbConn;
-  return await db.get('SELECT * FROM Hiits WHERE id = ?', id);
+  const db = await database();
+  return await db.get(`SELECT * FROM Hiits WHERE hiits_id = ? AND ${liveHiits}`, id);
+}
+
+// Function to check whether a Hiit ID is in use, by a live Hiit or one in the trash
+export async function hiitIdTaken(id) {
+  const db = await database();
+  return Boolean(await db.get('SELECT 1 FROM Hiits WHERE hiits_id = ?', id));
 }
 
 // Function to add a new Hiit
-export async function addHiit(hiit_id, name, description, type) {
-  const db = await dbConn;
-  return db.run('INSERT INTO Hiits (hiits_id, name, description, type) VALUES (?, ?, ?, ?)', [
-    hiit_id,
-    name,
-    description,
-    type,
-  ]);
-}
-
-// Function to add a new Exercise
-export async function addExercise(
+export function addHiit(hiit_id, name, description, type) {
+  return write((db) =>
+    db.run('INSERT INTO Hiits (hiits_id, name, description, type) VALUES (?, ?, ?, ?)', [
+      hiit_id,
+      name,
+      description,
+      type,
+    ]),
+  );
+}
+
+// Function to create a Hiit and all of its blocks and exercises in one transaction.
+// Only an AMRAP keeps its time cap.
+export async function createHiit(
+  id,
+  name,
+  description,
+  type,
+  blocks = [],
+  ownerId = null,
+  format = 'interval',
+  timeCap = null,
+) {
+  const hiitId = id ?? uuidv4();
+  await transaction(async (db) => {
+    await db.run(
+      `INSERT INTO Hiits (hiits_id, name, description, type, owner_id, format, time_cap)
+      VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [hiitId, name, description, type, ownerId, format, format === 'amrap' ? timeCap : null],
+    );
+    await insertBlocks(db, hiitId, blocks, ownerId);
+  });
+  return getHiit(hiitId);
+}
+
+// Longest name a Hiit can have, from the VARCHAR(20) in 001-initial.sql
+const hiitNameLength = 20;
+
+// Function to name the copy of a Hiit, shortening the original name so the copy still fits
+export function copyName(name) {
+  const suffix = ' (copy)';
+  return `${name.slice(0, hiitNameLength - suffix.length).trimEnd()}${suffix}`;
+}
+
+// Function to copy a Hiit and all of its blocks and exercises into a new custom Hiit
+export async function cloneHiit(id, ownerId = null) {
+  const hiit = await getHiit(id);
+  if (!hiit) {
+    return undefined;
+  }
+  return createHiit(
+    undefined,
+    copyName(hiit.name),
+    hiit.description,
+    'custom',
+    blocksWithExercises(hiit),
+    ownerId,
+    hiit.format,
+    hiit.time_cap,
+  );
+}
+
+// Function to add a new Exercise, either from the library or typed in by hand
+export function addExercise(
   name,
   description,
-  exercise_duration,
-  rest_duration,
-  hiit_id,
+  exerciseDuration,
+  restDuration,
+  hiitId,
+  libraryId,
+  reps = null,
+  sides = 1,
 ) {
-  const db = await dbConn;
-  return db.run(
-    'INSERT INTO Exercise (name, description, exercise_duration, rest_duration, hiit_id) VALUES (?, ?, ?, ?, ?)',
-    [name, description, exercise_duration, rest_duration, hiit_id],
+  return transaction(async (db) => {
+    const hiit = await db.get('SELECT owner_id FROM Hiits WHERE hiits_id = ?', hiitId);
+    const exercise = { name, description, library_id: libraryId };
+    // New exercises go to the end of the last block of the main workout, which is added after the
+    // warm-up when the hiit has none yet
+    let block = await db.get(
+      "SELECT block_id FROM Blocks WHERE hiit_id = ? AND phase = 'main' ORDER BY position DESC LIMIT 1",
+      hiitId,
+    );
+    if (!block) {
+      await db.run(
+        "UPDATE Blocks SET position = position + 1 WHERE hiit_id = ? AND phase = 'cool_down'",
+        hiitId,
+      );
+      const result = await db.run(
+        `INSERT INTO Blocks (hiit_id, position)
+        VALUES (?1, (SELECT COUNT(*) FROM Blocks WHERE hiit_id = ?1 AND phase = 'warm_up'))`,
+        hiitId,
+      );
+      block = { block_id: result.lastID };
+    }
+    return db.run(
+      `INSERT INTO Exercise (library_id, exercise_duration, rest_duration, hiit_id, position, block_id,
+        reps, sides)
+      VALUES (?, ?, ?, ?, (SELECT COALESCE(MAX(position) + 1, 0) FROM Exercise WHERE hiit_id = ?), ?, ?, ?)`,
+      [
+        await libraryIdFor(db, exercise, hiit.owner_id),
+        exerciseDuration,
+        restDuration,
+        hiitId,
+        hiitId,
+        block.block_id,
+        reps,
+        sides,
+      ],
+    );
+  });
+}
+
+// Function to update a Hiit's details and replace its blocks and exercises in one transaction.
+// Only an AMRAP keeps its time cap.
+export async function updateHiit(id, name, description, blocks, format = 'interval', timeCap = null) {
+  await transaction(async (db) => {
+    await db.run(
+      'UPDATE Hiits SET name = ?, description = ?, format = ?, time_cap = ? WHERE hiits_id = ?',
+      [name, description, format, format === 'amrap' ? timeCap : null, id],
+    );
+    const hiit = await db.get('SELECT owner_id FROM Hiits WHERE hiits_id = ?', id);
+    await db.run('DELETE FROM Exercise WHERE hiit_id = ?', id);
+    await db.run('DELETE FROM Blocks WHERE hiit_id = ?', id);
+    await insertBlocks(db, id, blocks, hiit.owner_id);
+  });
+  return getHiit(id);
+}
+
+// Function to delete a Hiit by its ID, moving it to the trash
+export async function deleteHiit(id, deletedAt = new Date()) {
+  await emptyExpiredTrash();
+  return write((db) =>
+    db.run(`UPDATE Hiits SET deleted_at = ? WHERE hiits_id = ? AND ${liveHiits}`, [
+      deletedAt.toISOString(),
+      id,
+    ]),
   );
 }
 
-// Function to delete a Hiit by its ID
-export async function deleteHiit(id) {
-  const db = await dbConn;
-  return db.run('DELETE FROM Hiits WHERE hiits_id = ?', id);
+// Function to find a Hiit in the trash by its ID. One kept past the retention period is deleted
+// for good first, so it can no longer be restored.
+export async function findTrashedHiit(id) {
+  const db = await database();
+  await emptyExpiredTrash();
+  return db.get('SELECT * FROM Hiits WHERE hiits_id = ? AND deleted_at IS NOT NULL', id);
+}
+
+// Function to work out when a Hiit in the trash will be deleted for good
+function trashExpiry(deletedAt) {
+  const expiresAt = new Date(deletedAt);
+  expiresAt.setUTCDate(expiresAt.getUTCDate() + trashRetentionDays);
+  return expiresAt.toISOString();
+}
+
+// Function to list the Hiits in the trash a user can restore, most recently deleted first
+export async function listTrash(userId = null) {
+  const db = await database();
+  await emptyExpiredTrash();
+  const hiits = await db.all(
+    `SELECT * FROM Hiits
+    WHERE deleted_at IS NOT NULL AND (Hiits.owner_id IS NULL OR Hiits.owner_id = ?)
+    ORDER BY deleted_at DESC`,
+    userId,
+  );
+  return hiits.map((hiit) => ({ ...hiit, expires_at: trashExpiry(hiit.deleted_at) }));
+}
+
+// Function to take a Hiit back out of the trash
+export async function restoreHiit(id) {
+  await write((db) => db.run('UPDATE Hiits SET deleted_at = NULL WHERE hiits_id = ?', id));
+  return getHiit(id);
+}
+
+// Function to delete a Hiit and its exercises for good
+export function purgeHiit(id) {
+  return write((db) => db.run('DELETE FROM Hiits WHERE hiits_id = ?', id));
+}
+
+// Function to delete the Hiits that have been in the trash for longer than the retention period
+export function emptyExpiredTrash(now = new Date()) {
+  const cutoff = new Date(now);
+  cutoff.setUTCDate(cutoff.getUTCDate() - trashRetentionDays);
+  return write((db) => db.run('DELETE FROM Hiits WHERE deleted_at < ?', cutoff.toISOString()));
+}
+
+// Function to list the Exercises of every Hiit a user can see
+export async function listExercises(userId = null) {
+  const db = await database();
+  return db.all(
+    `SELECT ${exerciseColumns} FROM Exercise
+    JOIN Library ON Library.library_id = Exercise.library_id
+    JOIN Hiits ON Hiits.hiits_id = Exercise.hiit_id
+    WHERE ${liveHiits} AND ${visibleHiits}
+    ORDER BY Exercise.exercise_id`,
+    userId,
+  );
+}
+
+// Function to list the Exercises of a single Hiit, block by block
+export async function listHiitExercises(id) {
+  const db = await database();
+  return db.all(
+    `SELECT ${exerciseColumns} FROM Exercise
+    JOIN Library ON Library.library_id = Exercise.library_id
+    LEFT JOIN Blocks ON Blocks.block_id = Exercise.block_id
+    WHERE Exercise.hiit_id = ?
+    ORDER BY Blocks.position, Exercise.position, Exercise.exercise_id`,
+    id,
+  );
+}
+
+// Function to list the Blocks of a single Hiit in the order they are done
+export async function listHiitBlocks(id) {
+  const db = await database();
+  return db.all(
+    `SELECT block_id, position, phase, rounds, round_rest_duration, block_rest_duration FROM Blocks
+    WHERE hiit_id = ?
+    ORDER BY position, block_id`,
+    id,
+  );
+}
+
+// Function to move the exercises of a Hiit into the order of the given exercise IDs.
+// Each exercise stays in its block, so the order only changes where exercises share a block.
+export async function reorderExercises(id, exerciseIds) {
+  await transaction(async (db) => {
+    for (const [position, exerciseId] of exerciseIds.entries()) {
+      await db.run('UPDATE Exercise SET position = ? WHERE exercise_id = ? AND hiit_id = ?', [
+        position,
+        exerciseId,
+        id,
+      ]);
+    }
+  });
+  return getHiit(id);
+}
+
+// Function to insert one workout session
+async function insertSession(db, session, userId) {
+  const result = await db.run(
+    `INSERT INTO Sessions (hiit_id, hiit_name, started_at, ended_at, planned_duration,
+      actual_duration, warm_up_duration, cool_down_duration, completed_exercises,
+      skipped_exercises, user_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      session.hiit_id ?? null,
+      session.hiit_name,
+      session.started_at,
+      session.ended_at,
+      session.planned_duration,
+      session.actual_duration,
+      session.warm_up_duration ?? 0,
+      session.cool_down_duration ?? 0,
+      session.completed_exercises,
+      session.skipped_exercises ?? 0,
+      userId,
+    ],
+  );
+  return result.lastID;
+}
+
+// Function to find a workout session by its ID
+export async function findSession(id) {
+  const db = await database();
+  return db.get('SELECT * FROM Sessions WHERE session_id = ?', id);
+}
+
+// Function to record a performed workout session for a user, or for guests when userId is null
+export async function addSession(session, userId = null) {
+  return findSession(await write((db) => insertSession(db, session, userId)));
+}
+
+// Function to record several workout sessions at once, all or nothing
+export async function addSessions(sessions, userId = null) {
+  const ids = await transaction(async (db) => {
+    const inserted = [];
+    for (const session of sessions) {
+      inserted.push(await insertSession(db, session, userId));
+    }
+    return inserted;
+  });
+  if (ids.length === 0) {
+    return [];
+  }
+  const db = await database();
+  return db.all(
+    `SELECT * FROM Sessions WHERE session_id IN (${ids.map(() => '?').join(', ')}) ORDER BY session_id`,
+    ids,
+  );
+}
+
+// Function to list the workout sessions of a user, or of guests when userId is null, oldest first
+export async function listSessions(userId = null) {
+  const db = await database();
+  return db.all(
+    'SELECT * FROM Sessions WHERE user_id IS ? ORDER BY started_at, session_id',
+    userId,
+  );
+}
+
+// SQLite expressions that turn a session's start time into the first day of its period
+const periodStarts = {
+  day: 'date(started_at)',
+  week: "date(started_at, 'weekday 0', '-6 days')",
+  month: "strftime('%Y-%m-01', started_at)",
+};
+
+// Function to build the WHERE clause that limits a user's sessions to an optional date range
+function sessionFilter({ from, to, userId = null }) {
+  const conditions = ['user_id IS ?'];
+  const params = [userId];
+  if (from) {
+    conditions.push('date(started_at) >= ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('date(started_at) <= ?');
+    params.push(to);
+  }
+  return { where: `WHERE ${conditions.join(' AND ')}`, params };
+}
+
+// Function to total the sessions of each day, week (starting Monday) or month in a date range.
+// The training time is the main workout only, the warm-up and cool-down are totalled on their own.
+export async function sessionTotalsByPeriod(group, filter = {}) {
+  const db = await database();
+  const periodStart = periodStarts[group];
+  const { where, params } = sessionFilter(filter);
+  return db.all(
+    `SELECT ${periodStart} AS period,
+      COUNT(*) AS sessions,
+      SUM(actual_duration - warm_up_duration - cool_down_duration) AS training_seconds,
+      SUM(warm_up_duration) AS warm_up_seconds,
+      SUM(cool_down_duration) AS cool_down_seconds,
+      SUM(completed_exercises) AS exercises
+    FROM Sessions ${where}
+    GROUP BY period
+    ORDER BY period`,
+    params,
+  );
+}
+
+// Function to list every distinct day on which a user started a session
+export async function listSessionDays(userId = null) {
+  const db = await database();
+  const rows = await db.all(
+    'SELECT DISTINCT date(started_at) AS day FROM Sessions WHERE user_id IS ? ORDER BY day',
+    userId,
+  );
+  return rows.map((row) => row.day);
+}
+
+// Function to list the most performed hiits in a date range
+export async function topHiits(filter = {}, limit = 5) {
+  const db = await database();
+  const { where, params } = sessionFilter(filter);
+  return db.all(
+    `SELECT hiit_id, hiit_name, COUNT(*) AS sessions
+    FROM Sessions ${where}
+    GROUP BY COALESCE(hiit_id, hiit_name)
+    ORDER BY sessions DESC, hiit_name
+    LIMIT ?`,
+    [...params, limit],
+  );
+}
+
+// Function to list the most performed exercises in a date range.
+// A session completes the first completed_exercises exercises of its hiit, in their current order.
+// Exercises done over several rounds count once per session, however many rounds were done.
+export async function topExercises(filter = {}, limit = 5) {
+  const db = await database();
+  const { where, params } = sessionFilter(filter);
+  return db.all(
+    `SELECT Library.name AS name, COUNT(*) AS times
+    FROM (SELECT * FROM Sessions ${where}) AS Sessions
+    JOIN Exercise ON Exercise.hiit_id = Sessions.hiit_id
+    JOIN Library ON Library.library_id = Exercise.library_id
+    WHERE (
+      SELECT COUNT(*) FROM Exercise AS earlier
+      WHERE earlier.hiit_id = Exercise.hiit_id
+      AND (earlier.position < Exercise.position
+        OR (earlier.position = Exercise.position AND earlier.exercise_id < Exercise.exercise_id))
+    ) < Sessions.completed_exercises
+    GROUP BY Library.name
+    ORDER BY times DESC, name
+    LIMIT ?`,
+    [...params, limit],
+  );
+}
+
+// Function to add a new user account
+export async function addUser(userId, username, passwordHash) {
+  await write((db) =>
+    db.run(
+      'INSERT INTO Users (user_id, username, password_hash, created_at) VALUES (?, ?, ?, ?)',
+      [userId, username, passwordHash, new Date().toISOString()],
+    ),
+  );
+  return findUser(userId);
+}
+
+// Function to find a user account by its ID, without the password hash
+export async function findUser(userId) {
+  const db = await database();
+  return db.get('SELECT user_id, username, created_at FROM Users WHERE user_id = ?', userId);
+}
+
+// Function to find a user account by its username, including the password hash
+export async function findUserByName(username) {
+  const db = await database();
+  return db.get('SELECT * FROM Users WHERE username = ?', username);
+}
+
+// Function to remember a logged-in browser by the hash of its session token
+export function addLogin(tokenHash, userId, expiresAt) {
+  return write((db) =>
+    db.run('INSERT INTO Logins (token_hash, user_id, expires_at) VALUES (?, ?, ?)', [
+      tokenHash,
+      userId,
+      expiresAt,
+    ]),
+  );
+}
+
+// Function to find the user a session token belongs to, if the login has not expired
+export async function findLoginUser(tokenHash) {
+  const db = await database();
+  return db.get(
+    `SELECT Users.user_id, Users.username, Users.created_at FROM Logins
+    JOIN Users ON Users.user_id = Logins.user_id
+    WHERE Logins.token_hash = ? AND Logins.expires_at > ?`,
+    [tokenHash, new Date().toISOString()],
+  );
+}
+
+// Function to forget a logged-in browser
+export function deleteLogin(tokenHash) {
+  return write((db) => db.run('DELETE FROM Logins WHERE token_hash = ?', tokenHash));
+}
+
+// Function to turn a library row's JSON columns back into arrays
+function libraryEntry(row) {
+  return row && {
+    ...row,
+    muscle_groups: JSON.parse(row.muscle_groups),
+    equipment: JSON.parse(row.equipment),
+  };
+}
+
+// Function to list the library entries a user can see, optionally only those for a muscle group or
+// needing a piece of equipment
+export async function listLibrary({ userId = null, muscleGroup, equipment } = {}) {
+  const db = await database();
+  const conditions = [visibleLibrary];
+  const params = [userId];
+  if (muscleGroup) {
+    conditions.push('EXISTS (SELECT 1 FROM json_each(Library.muscle_groups) WHERE value = ?)');
+    params.push(muscleGroup);
+  }
+  if (equipment) {
+    conditions.push('EXISTS (SELECT 1 FROM json_each(Library.equipment) WHERE value = ?)');
+    params.push(equipment);
+  }
+  const rows = await db.all(
+    `SELECT * FROM Library WHERE ${conditions.join(' AND ')} ORDER BY name, library_id`,
+    params,
+  );
+  return rows.map(libraryEntry);
+}
+
+// Function to find a library entry by its ID
+export async function findLibraryEntry(id) {
+  const db = await database();
+  return libraryEntry(await db.get('SELECT * FROM Library WHERE library_id = ?', id));
+}
+
+// Function to add an entry to the library
+export async function addLibraryEntry(entry, ownerId = null) {
+  const result = await write((db) =>
+    db.run(
+      `INSERT INTO Library (name, description, muscle_groups, equipment, owner_id)
+      VALUES (?, ?, ?, ?, ?)`,
+      [
+        entry.name,
+        entry.description,
+        JSON.stringify(entry.muscle_groups ?? []),
+        JSON.stringify(entry.equipment ?? []),
+        ownerId,
+      ],
+    ),
+  );
+  return findLibraryEntry(result.lastID);
+}
+
+// Function to write the default hiits from their fixture, matched to existing ones by hiits_id.
+// Each default keeps its ID, so the sessions recorded against it and its copies are left intact.
+async function writeDefaultHiits(db) {
+  for (const hiit of defaultHiits.hiits) {
+    await db.run(
+      `INSERT INTO Hiits (hiits_id, name, description, type, format, time_cap)
+      VALUES (?, ?, ?, 'default', ?, ?)
+      ON CONFLICT (hiits_id) DO UPDATE SET name = excluded.name, description = excluded.description,
+      type = 'default', format = excluded.format, time_cap = excluded.time_cap, owner_id = NULL,
+      deleted_at = NULL`,
+      [hiit.hiits_id, hiit.name, hiit.description, hiit.format ?? 'interval', hiit.time_cap ?? null],
+    );
+    const blocks = hiit.blocks ?? singleBlock(hiit.exercises);
+    for (const exercise of blocks.flatMap((block) => block.exercises)) {
+      // A changed movement becomes a new shared library entry, so copies keep the one they use
+      await libraryIdFor(db, exercise, null);
+      await db.run(
+        `UPDATE Library SET muscle_groups = ?, equipment = ?
+        WHERE owner_id IS NULL AND name = ? AND description = ?`,
+        [
+          JSON.stringify(exercise.muscle_groups),
+          JSON.stringify(exercise.equipment),
+          exercise.name,
+          exercise.description,
+        ],
+      );
+    }
+    await db.run('DELETE FROM Exercise WHERE hiit_id = ?', hiit.hiits_id);
+    await db.run('DELETE FROM Blocks WHERE hiit_id = ?', hiit.hiits_id);
+    await insertBlocks(db, hiit.hiits_id, blocks, null);
+  }
+  await db.run(
+    `INSERT INTO Seeds (name, version) VALUES ('default-hiits', ?)
+    ON CONFLICT (name) DO UPDATE SET version = excluded.version`,
+    defaultHiits.version,
+  );
+  return defaultHiits.hiits.length;
 }
 
-// Function to list all Exercises
-export async function listExercises() {
-  const db = await dbConn;
-  return db.all('SELECT * FROM Exercise');
+// Function to write the default hiits from their fixture again, whatever version the database has
+export function seedDefaultHiits() {
+  return transaction(writeDefaultHiits);
 }
@@ -0,0 +1,61 @@
+import { blocksWithExercises, singleBlock } from './hiitboard.js';
+
+// Name that marks a JSON file as a SeeFit hiit
+export const hiitFileFormat = 'seefit-hiit';
+
+// Version of the hiit file format written by this server.
+// Bump it when the format changes, and teach fromHiitFile to read the older versions.
+// Version 1 files hold a flat list of exercises, version 2 files hold blocks of exercises and
+// version 3 files give each block its phase, with version 2 blocks all part of the main workout.
+// Version 4 files give each exercise its reps and sides, older exercises are timed and one-sided.
+// Version 5 files give the hiit its format and time cap, older hiits are intervals.
+export const hiitFileVersion = 5;
+
+// Function to turn a hiit and its blocks of ordered exercises into the portable file format
+export function toHiitFile(hiit) {
+  return {
+    format: hiitFileFormat,
+    version: hiitFileVersion,
+    exported_at: new Date().toISOString(),
+    hiit: {
+      name: hiit.name,
+      description: hiit.description,
+      format: hiit.format,
+      time_cap: hiit.time_cap,
+      blocks: blocksWithExercises(hiit).map((block) => ({
+        phase: block.phase,
+        rounds: block.rounds,
+        round_rest_duration: block.round_rest_duration,
+        block_rest_duration: block.block_rest_duration,
+        exercises: block.exercises.map((exercise) => ({
+          name: exercise.name,
+          description: exercise.description,
+          exercise_duration: exercise.exercise_duration,
+          rest_duration: exercise.rest_duration,
+          reps: exercise.reps,
+          sides: exercise.sides,
+        })),
+      })),
+    },
+  };
+}
+
+// Function to read the hiit out of a validated file, in the shape createHiit expects
+export function fromHiitFile(file) {
+  return {
+    name: file.hiit.name,
+    description: file.hiit.description,
+    blocks: file.hiit.blocks ?? singleBlock(file.hiit.exercises ?? []),
+    format: file.hiit.format ?? 'interval',
+    timeCap: file.hiit.time_cap ?? null,
+  };
+}
+
+// Function to name the downloaded file after the hiit, e.g. hiit-quick-blast.seefit.json
+export function hiitFileName(hiit) {
+  const slug = hiit.name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+  return `${slug || 'hiit'}.seefit.json`;
+}
@@ -0,0 +1,60 @@
+import { config } from './config.js';
+import { v4 as uuidv4 } from 'uuid';
+
+// Log levels from most to least severe
+export const levels = ['error', 'warn', 'info', 'debug'];
+
+// Function to write a log line to standard error for errors and warnings, and standard output otherwise
+function writeLine(line, level) {
+  const stream = levels.indexOf(level) <= levels.indexOf('warn') ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+// Function to create a logger that writes each entry as one line of JSON, skipping entries
+// less severe than its level
+export function createLogger({ level = 'info', write = writeLine } = {}) {
+  if (level !== 'silent' && !levels.includes(level)) {
+    throw new Error(`Unknown log level "${level}", expected one of: ${levels.join(', ')}, silent`);
+  }
+  const threshold = levels.indexOf(level);
+  const logger = {};
+  for (const [index, name] of levels.entries()) {
+    logger[name] = (message, fields = {}) => {
+      if (index <= threshold) {
+        write(JSON.stringify({ time: new Date().toISOString(), level: name, message, ...fields }), name);
+      }
+    };
+  }
+  return logger;
+}
+
+// The logger of the server, at the configured level
+export const logger = createLogger(config.log);
+
+// Function to turn an error into fields a JSON log can hold, since an Error serialises as {}
+export function errorFields(error) {
+  return { name: error.name, message: error.message, code: error.code, stack: error.stack };
+}
+
+// Longest request ID a client can send, so logs cannot be flooded through the header
+const maxRequestIdLength = 100;
+
+// Middleware to give every request an ID, sent back in the X-Request-Id header, and to log each
+// request once its response has been sent. An ID sent by a proxy in front of the server is kept.
+export function logRequests(req, res, next) {
+  const sentId = req.get('X-Request-Id');
+  req.id = sentId && sentId.length <= maxRequestIdLength ? sentId : uuidv4();
+  res.set('X-Request-Id', req.id);
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    logger.info('request', {
+      request_id: req.id,
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      duration_ms: Number(process.hrtime.bigint() - startedAt) / 1e6,
+      user_id: req.user?.user_id ?? null,
+    });
+  });
+  next();
+}
@@ -0,0 +1,92 @@
+import * as hb from './hiitboard.js';
+
+// Upper bounds, in seconds, of the buckets request latencies are counted in
+export const durationBuckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+// Request counts and latency histograms, keyed by the text of their labels
+const requestCounts = new Map();
+const requestDurations = new Map();
+
+// Function to write labels the way Prometheus reads them, e.g. {method="GET",route="/hiits"}
+function labelText(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => {
+    const escaped = String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `${name}="${escaped}"`;
+  });
+  return `{${pairs.join(',')}}`;
+}
+
+// Function to count one answered request and its latency
+export function observeRequest({ method, route, status, seconds }) {
+  const countLabels = labelText({ method, route, status });
+  requestCounts.set(countLabels, (requestCounts.get(countLabels) ?? 0) + 1);
+  const durationLabels = labelText({ method, route });
+  const histogram = requestDurations.get(durationLabels) ?? {
+    method,
+    route,
+    buckets: durationBuckets.map(() => 0),
+    count: 0,
+    sum: 0,
+  };
+  durationBuckets.forEach((bound, index) => {
+    if (seconds <= bound) {
+      histogram.buckets[index] += 1;
+    }
+  });
+  histogram.count += 1;
+  histogram.sum += seconds;
+  requestDurations.set(durationLabels, histogram);
+}
+
+// Middleware to count every request once it has been answered, by the route it matched,
+// e.g. /hiits/:id, so that every hiit shares one series
+export function recordRequests(req, res, next) {
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    observeRequest({
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+      status: res.statusCode,
+      seconds: Number(process.hrtime.bigint() - startedAt) / 1e9,
+    });
+  });
+  next();
+}
+
+// Function to write every metric in the Prometheus text format
+export async function renderMetrics() {
+  const lines = [
+    '# HELP seefit_http_requests_total Requests answered, by method, route and status code.',
+    '# TYPE seefit_http_requests_total counter',
+  ];
+  for (const [labels, count] of requestCounts) {
+    lines.push(`seefit_http_requests_total${labels} ${count}`);
+  }
+  lines.push(
+    '# HELP seefit_http_request_duration_seconds Time taken to answer requests, by method and route.',
+    '# TYPE seefit_http_request_duration_seconds histogram',
+  );
+  for (const [labels, histogram] of requestDurations) {
+    const { method, route } = histogram;
+    durationBuckets.forEach((bound, index) => {
+      lines.push(
+        `seefit_http_request_duration_seconds_bucket${labelText({ method, route, le: bound })} ${histogram.buckets[index]}`,
+      );
+    });
+    lines.push(
+      `seefit_http_request_duration_seconds_bucket${labelText({ method, route, le: '+Inf' })} ${histogram.count}`,
+      `seefit_http_request_duration_seconds_sum${labels} ${histogram.sum}`,
+      `seefit_http_request_duration_seconds_count${labels} ${histogram.count}`,
+    );
+  }
+  const { hiits, sessions } = await hb.countRecords();
+  lines.push(
+    '# HELP seefit_hiits Hiits in the database, by type, not counting the trash.',
+    '# TYPE seefit_hiits gauge',
+    ...hiits.map((row) => `seefit_hiits${labelText({ type: row.type })} ${row.count}`),
+    '# HELP seefit_sessions Workout sessions recorded.',
+    '# TYPE seefit_sessions gauge',
+    `seefit_sessions ${sessions}`,
+  );
+  return `${lines.join('\n')}\n`;
+}
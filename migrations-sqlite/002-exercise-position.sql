@@ -0,0 +1,11 @@
+-- Give every exercise an explicit place in its hiit instead of relying on row order
+ALTER TABLE Exercise ADD COLUMN position INTEGER NOT NULL DEFAULT 0;
+
+-- Number the existing exercises of each hiit in the order they were inserted
+UPDATE Exercise
+SET position = (
+    SELECT COUNT(*)
+    FROM Exercise AS earlier
+    WHERE earlier.hiit_id = Exercise.hiit_id
+    AND earlier.exercise_id < Exercise.exercise_id
+);
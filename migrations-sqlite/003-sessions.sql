@@ -0,0 +1,14 @@
+-- One row per workout the user has performed, replacing the localStorage counters
+CREATE TABLE Sessions (
+    session_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    hiit_id CHAR(36) REFERENCES Hiits(hiits_id),
+    hiit_name VARCHAR(20) NOT NULL,
+    started_at TEXT NOT NULL,
+    ended_at TEXT NOT NULL,
+    planned_duration INTEGER NOT NULL,
+    actual_duration INTEGER NOT NULL,
+    completed_exercises INTEGER NOT NULL,
+    skipped_exercises INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE INDEX Sessions_started_at ON Sessions (started_at);
@@ -0,0 +1,18 @@
+-- Accounts that own custom hiits and workout sessions
+CREATE TABLE Users (
+    user_id CHAR(36) PRIMARY KEY,
+    username VARCHAR(30) NOT NULL UNIQUE,
+    password_hash TEXT NOT NULL,
+    created_at TEXT NOT NULL
+);
+
+-- Logged-in browsers, identified by a hash of the token kept in their session cookie
+CREATE TABLE Logins (
+    token_hash CHAR(64) PRIMARY KEY,
+    user_id CHAR(36) NOT NULL REFERENCES Users(user_id),
+    expires_at TEXT NOT NULL
+);
+
+-- Custom hiits and sessions created without an account keep a NULL owner and stay shared
+ALTER TABLE Hiits ADD COLUMN owner_id CHAR(36) REFERENCES Users(user_id);
+ALTER TABLE Sessions ADD COLUMN user_id CHAR(36) REFERENCES Users(user_id);
@@ -0,0 +1,49 @@
+-- A catalogue of movements that hiits pick their exercises from.
+-- muscle_groups and equipment are JSON arrays of strings.
+CREATE TABLE Library (
+    library_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name VARCHAR(40) NOT NULL,
+    description TEXT NOT NULL,
+    muscle_groups TEXT NOT NULL DEFAULT '[]',
+    equipment TEXT NOT NULL DEFAULT '[]',
+    owner_id CHAR(36) REFERENCES Users(user_id)
+);
+
+-- Every distinct exercise already stored becomes one library entry, kept with the owner of its hiit
+INSERT INTO Library (name, description, owner_id)
+SELECT Exercise.name, Exercise.description, Hiits.owner_id
+FROM Exercise
+LEFT JOIN Hiits ON Hiits.hiits_id = Exercise.hiit_id
+GROUP BY Exercise.name, Exercise.description, Hiits.owner_id
+ORDER BY MIN(Exercise.exercise_id);
+
+-- Describe the movements of the default hiits
+UPDATE Library SET muscle_groups = '["full body"]' WHERE owner_id IS NULL AND name IN ('Jumping Jacks', 'Burpees', 'Running intervals');
+UPDATE Library SET muscle_groups = '["legs", "core"]' WHERE owner_id IS NULL AND name IN ('High knees', 'Mountain climbers');
+UPDATE Library SET muscle_groups = '["legs", "glutes"]' WHERE owner_id IS NULL AND name IN ('Squats', 'Lunges', 'Jump squats', 'Plyo lunges', 'Box jumps', 'Jumping lunges', 'Lateral jumps', 'Tuck jumps', 'High-intensity cycling');
+UPDATE Library SET muscle_groups = '["chest", "arms", "core"]' WHERE owner_id IS NULL AND name = 'Push-ups';
+UPDATE Library SET muscle_groups = '["core"]' WHERE owner_id IS NULL AND name IN ('Bicycle crunches', 'Reverse crunches', 'Side plank', 'Russian twists', 'Leg raises');
+UPDATE Library SET muscle_groups = '["core", "shoulders"]' WHERE owner_id IS NULL AND name = 'Plank with shoulder taps';
+UPDATE Library SET muscle_groups = '["legs", "shoulders", "arms"]' WHERE owner_id IS NULL AND name = 'Dumbbell thrusters';
+UPDATE Library SET muscle_groups = '["back", "arms", "core"]' WHERE owner_id IS NULL AND name = 'Renegade rows';
+UPDATE Library SET muscle_groups = '["legs", "shoulders"]' WHERE owner_id IS NULL AND name = 'Jumping rope';
+UPDATE Library SET equipment = '["box"]' WHERE owner_id IS NULL AND name = 'Box jumps';
+UPDATE Library SET equipment = '["dumbbells"]' WHERE owner_id IS NULL AND name IN ('Dumbbell thrusters', 'Renegade rows');
+UPDATE Library SET equipment = '["jump rope"]' WHERE owner_id IS NULL AND name = 'Jumping rope';
+UPDATE Library SET equipment = '["exercise bike"]' WHERE owner_id IS NULL AND name = 'High-intensity cycling';
+UPDATE Library SET equipment = '["medicine ball"]' WHERE owner_id IS NULL AND name = 'Russian twists';
+
+-- Exercises become slots of a hiit that point at a library entry and keep their own timings
+ALTER TABLE Exercise ADD COLUMN library_id INTEGER REFERENCES Library(library_id);
+
+UPDATE Exercise
+SET library_id = (
+    SELECT Library.library_id
+    FROM Library
+    WHERE Library.name = Exercise.name
+    AND Library.description = Exercise.description
+    AND Library.owner_id IS (SELECT owner_id FROM Hiits WHERE hiits_id = Exercise.hiit_id)
+);
+
+ALTER TABLE Exercise DROP COLUMN name;
+ALTER TABLE Exercise DROP COLUMN description;
@@ -0,0 +1,11 @@
+-- Deleted hiits stay in the trash, restorable, until deleted_at is older than the retention period
+ALTER TABLE Hiits ADD COLUMN deleted_at TEXT;
+
+-- Exercises are removed together with their hiit when it leaves the trash for good
+CREATE TRIGGER Hiits_delete_exercises AFTER DELETE ON Hiits
+BEGIN
+    DELETE FROM Exercise WHERE hiit_id = OLD.hiits_id;
+END;
+
+-- Clear out the exercises left behind by hiits deleted before the trigger existed
+DELETE FROM Exercise WHERE hiit_id NOT IN (SELECT hiits_id FROM Hiits);
@@ -0,0 +1,6 @@
+-- The version of each seed fixture last written into the database, so a fixture is only
+-- written again when its version goes up (see fixtures/default-hiits.json)
+CREATE TABLE Seeds (
+    name VARCHAR(40) PRIMARY KEY,
+    version INTEGER NOT NULL
+);
@@ -0,0 +1,106 @@
+-- Versions of the data for HTTP caching. Each hiit has a version that goes up whenever the hiit or
+-- one of its exercises is written, which its ETag and If-Match are based on. The lists are versioned
+-- as a whole by DataVersion, which goes up whenever a hiit, exercise, library entry or session is
+-- written. Triggers keep both up to date, so every write counts, whatever makes it.
+ALTER TABLE Hiits ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE Hiits ADD COLUMN modified_at TEXT;
+
+UPDATE Hiits SET modified_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now');
+
+CREATE TRIGGER Hiits_insert_modified AFTER INSERT ON Hiits
+BEGIN
+    UPDATE Hiits SET modified_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE hiits_id = NEW.hiits_id;
+END;
+
+-- Only writes that did not already move the version on, so the triggers do not set each other off
+CREATE TRIGGER Hiits_update_version AFTER UPDATE ON Hiits
+WHEN NEW.version = OLD.version AND NEW.modified_at IS OLD.modified_at
+BEGIN
+    UPDATE Hiits SET version = OLD.version + 1, modified_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+    WHERE hiits_id = NEW.hiits_id;
+END;
+
+CREATE TRIGGER Exercise_insert_version AFTER INSERT ON Exercise
+BEGIN
+    UPDATE Hiits SET version = version + 1, modified_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+    WHERE hiits_id = NEW.hiit_id;
+END;
+
+CREATE TRIGGER Exercise_update_version AFTER UPDATE ON Exercise
+BEGIN
+    UPDATE Hiits SET version = version + 1, modified_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+    WHERE hiits_id IN (OLD.hiit_id, NEW.hiit_id);
+END;
+
+CREATE TRIGGER Exercise_delete_version AFTER DELETE ON Exercise
+BEGIN
+    UPDATE Hiits SET version = version + 1, modified_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+    WHERE hiits_id = OLD.hiit_id;
+END;
+
+CREATE TABLE DataVersion (
+    version INTEGER NOT NULL,
+    modified_at TEXT NOT NULL
+);
+
+INSERT INTO DataVersion (version, modified_at) VALUES (1, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+
+CREATE TRIGGER Hiits_insert_data_version AFTER INSERT ON Hiits
+BEGIN
+    UPDATE DataVersion SET version = version + 1, modified_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now');
+END;
+
+CREATE TRIGGER Hiits_update_data_version AFTER UPDATE ON Hiits
+BEGIN
+    UPDATE DataVersion SET version = version + 1, modified_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now');
+END;
+
+CREATE TRIGGER Hiits_delete_data_version AFTER DELETE ON Hiits
+BEGIN
+    UPDATE DataVersion SET version = version + 1, modified_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now');
+END;
+
+CREATE TRIGGER Exercise_insert_data_version AFTER INSERT ON Exercise
+BEGIN
+    UPDATE DataVersion SET version = version + 1, modified_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now');
+END;
+
+CREATE TRIGGER Exercise_update_data_version AFTER UPDATE ON Exercise
+BEGIN
+    UPDATE DataVersion SET version = version + 1, modified_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now');
+END;
+
+CREATE TRIGGER Exercise_delete_data_version AFTER DELETE ON Exercise
+BEGIN
+    UPDATE DataVersion SET version = version + 1, modified_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now');
+END;
+
+CREATE TRIGGER Library_insert_data_version AFTER INSERT ON Library
+BEGIN
+    UPDATE DataVersion SET version = version + 1, modified_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now');
+END;
+
+CREATE TRIGGER Library_update_data_version AFTER UPDATE ON Library
+BEGIN
+    UPDATE DataVersion SET version = version + 1, modified_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now');
+END;
+
+CREATE TRIGGER Library_delete_data_version AFTER DELETE ON Library
+BEGIN
+    UPDATE DataVersion SET version = version + 1, modified_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now');
+END;
+
+CREATE TRIGGER Sessions_insert_data_version AFTER INSERT ON Sessions
+BEGIN
+    UPDATE DataVersion SET version = version + 1, modified_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now');
+END;
+
+CREATE TRIGGER Sessions_update_data_version AFTER UPDATE ON Sessions
+BEGIN
+    UPDATE DataVersion SET version = version + 1, modified_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now');
+END;
+
+CREATE TRIGGER Sessions_delete_data_version AFTER DELETE ON Sessions
+BEGIN
+    UPDATE DataVersion SET version = version + 1, modified_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now');
+END;
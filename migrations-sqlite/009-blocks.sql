@@ -0,0 +1,58 @@
+-- Exercises of a hiit are grouped into blocks that are done a number of rounds in a row.
+-- round_rest_duration is rested between the rounds of a block and block_rest_duration after the
+-- block, before the next one starts, so the last block's block_rest_duration is never used.
+CREATE TABLE Blocks (
+    block_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    hiit_id CHAR(36) NOT NULL REFERENCES Hiits(hiits_id),
+    position INTEGER NOT NULL DEFAULT 0,
+    rounds INTEGER NOT NULL DEFAULT 1,
+    round_rest_duration INTEGER NOT NULL DEFAULT 0,
+    block_rest_duration INTEGER NOT NULL DEFAULT 0
+);
+
+ALTER TABLE Exercise ADD COLUMN block_id INTEGER REFERENCES Blocks(block_id);
+
+-- The exercises already stored become a single block of one round, so their hiits run as before
+INSERT INTO Blocks (hiit_id) SELECT DISTINCT hiit_id FROM Exercise;
+
+UPDATE Exercise SET block_id = (SELECT block_id FROM Blocks WHERE Blocks.hiit_id = Exercise.hiit_id);
+
+-- Blocks are removed together with their hiit when it leaves the trash for good
+CREATE TRIGGER Hiits_delete_blocks AFTER DELETE ON Hiits
+BEGIN
+    DELETE FROM Blocks WHERE hiit_id = OLD.hiits_id;
+END;
+
+-- Writing a block is a change to its hiit, just like writing one of its exercises
+CREATE TRIGGER Blocks_insert_version AFTER INSERT ON Blocks
+BEGIN
+    UPDATE Hiits SET version = version + 1, modified_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+    WHERE hiits_id = NEW.hiit_id;
+END;
+
+CREATE TRIGGER Blocks_update_version AFTER UPDATE ON Blocks
+BEGIN
+    UPDATE Hiits SET version = version + 1, modified_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+    WHERE hiits_id IN (OLD.hiit_id, NEW.hiit_id);
+END;
+
+CREATE TRIGGER Blocks_delete_version AFTER DELETE ON Blocks
+BEGIN
+    UPDATE Hiits SET version = version + 1, modified_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+    WHERE hiits_id = OLD.hiit_id;
+END;
+
+CREATE TRIGGER Blocks_insert_data_version AFTER INSERT ON Blocks
+BEGIN
+    UPDATE DataVersion SET version = version + 1, modified_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now');
+END;
+
+CREATE TRIGGER Blocks_update_data_version AFTER UPDATE ON Blocks
+BEGIN
+    UPDATE DataVersion SET version = version + 1, modified_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now');
+END;
+
+CREATE TRIGGER Blocks_delete_data_version AFTER DELETE ON Blocks
+BEGIN
+    UPDATE DataVersion SET version = version + 1, modified_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now');
+END;
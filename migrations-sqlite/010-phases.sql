@@ -0,0 +1,8 @@
+-- Blocks belong to one of the phases of a hiit: warm_up, main or cool_down. The phases are done
+-- in that order, and the blocks already stored are all part of the main workout.
+ALTER TABLE Blocks ADD COLUMN phase VARCHAR(10) NOT NULL DEFAULT 'main';
+
+-- Seconds of a session spent warming up and cooling down. They are part of actual_duration,
+-- but counted separately from the main workout in the statistics.
+ALTER TABLE Sessions ADD COLUMN warm_up_duration INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE Sessions ADD COLUMN cool_down_duration INTEGER NOT NULL DEFAULT 0;
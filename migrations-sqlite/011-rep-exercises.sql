@@ -0,0 +1,5 @@
+-- An exercise with reps is done for that many reps rather than for a time: the timer waits for
+-- the user to tap done, and exercise_duration is only the time it is expected to take.
+-- An exercise with two sides is done on each side in turn, switching halfway through.
+ALTER TABLE Exercise ADD COLUMN reps INTEGER;
+ALTER TABLE Exercise ADD COLUMN sides INTEGER NOT NULL DEFAULT 1;
@@ -0,0 +1,6 @@
+-- The training format a hiit is done in, which the timer runs differently:
+-- interval (work then rest, as every hiit did before), tabata, emom (every minute on the minute)
+-- or amrap (as many rounds as possible). An amrap repeats its exercises until its time_cap,
+-- in seconds, runs out; the other formats have no time_cap.
+ALTER TABLE Hiits ADD COLUMN format VARCHAR(10) NOT NULL DEFAULT 'interval';
+ALTER TABLE Hiits ADD COLUMN time_cap INTEGER;
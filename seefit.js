@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+import * as hb from './hiitboard.js';
+import * as storage from './storage.js';
+import { config } from './config.js';
+
+// How to use the command, shown for --help and after a mistake
+const usage = `Usage: seefit db <command>
+
+Commands:
+  migrate          Apply any migrations the database is missing
+  seed             Write the default hiits from their fixture, leaving custom hiits alone
+  reset            Delete all data and start again with only the default hiits
+  backup <file>    Copy the database into a new file
+  restore <file>   Replace the database with a backup
+
+The database is the one the server uses, set by SEEFIT_STORAGE and SEEFIT_DB_PATH.
+Stop the server before running reset or restore.`;
+
+// Function to apply the migrations, which opening the storage always does
+async function migrate() {
+  const file = storage.storageFile(config.storage);
+  const db = await storage.openStorage(config.storage);
+  const migrations = await storage.listMigrations(db);
+  await db.close();
+  const latest = migrations.at(-1);
+  console.log(`${file} is up to date at migration ${String(latest.id).padStart(3, '0')}-${latest.name}`);
+}
+
+// Function to write the default hiits from their fixture again
+async function seed() {
+  const file = storage.storageFile(config.storage);
+  hb.useStorage(config.storage);
+  const count = await hb.seedDefaultHiits();
+  await hb.closeStorage();
+  console.log(`Seeded ${count} default hiits into ${file}`);
+}
+
+// Function to start again with a clean database
+async function reset() {
+  await storage.resetStorage(config.storage);
+  // Opening the database through hiitboard.js writes the default hiits from their fixture
+  await hb.useStorage(config.storage);
+  await hb.closeStorage();
+  console.log(`Reset ${config.storage.path} to the default hiits`);
+}
+
+// Function to back the database up to a file
+async function backup(file) {
+  await storage.backupStorage(config.storage, file);
+  console.log(`Backed up ${config.storage.path} to ${file}`);
+}
+
+// Function to restore the database from a backup file
+async function restore(file) {
+  await storage.restoreStorage(config.storage, file);
+  console.log(`Restored ${config.storage.path} from ${file}`);
+}
+
+// The db commands, with whether each one needs a file argument
+const commands = {
+  migrate: { run: migrate },
+  seed: { run: seed },
+  reset: { run: reset },
+  backup: { run: backup, needsFile: true },
+  restore: { run: restore, needsFile: true },
+};
+
+// Function to run the command given on the command line
+async function main([group, name, file]) {
+  const command = group === 'db' ? commands[name] : undefined;
+  if (!command || (command.needsFile && !file)) {
+    console.error(usage);
+    process.exitCode = 1;
+    return;
+  }
+  try {
+    await command.run(file);
+  } catch (error) {
+    console.error(`seefit db ${name} failed: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+main(process.argv.slice(2));
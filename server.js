@@ -1,97 +1,642 @@
 import * as hb from './hiitboard.js';
+import * as validate from './validation.js';
+import * as stats from './stats.js';
+import * as auth from './auth.js';
+import * as hiitFile from './hiitfile.js';
+import * as generator from './generator.js';
+import { config } from './config.js';
+import { logger, logRequests, errorFields } from './logger.js';
+import * as metrics from './metrics.js';
+import * as cache from './cache.js';
 import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
 import * as url from 'url';
 
+// Opening the storage backend chosen in the configuration
+hb.useStorage(config.storage);
+
 // Creating an instance of the Express application
 const app = express();
 
 // Getting the current directory path
 const __dirname = url.fileURLToPath(new URL('.', import.meta.url));
 
+// Giving every request an ID and logging it once it has been answered
+app.use(logRequests);
+
+// Counting every request and its latency for /metrics
+app.use(metrics.recordRequests);
+
 // Serving static files from the 'client' directory with '.html' extension
 app.use(express.static('client', { extensions: ['html'] }));
 
-// Handler function to get all hiits
-async function getHiits(req, res) {
+// Finding the logged-in user, if any, for every API request
+app.use(auth.loadUser);
+
+// Function to get the ID of the logged-in user, or null for guests
+function userId(req) {
+  return req.user?.user_id ?? null;
+}
+
+// Function to read an optional whole number from the query string
+function queryNumber(value) {
+  return value === undefined ? undefined : Number(value);
+}
+
+// Function to read the blocks of a hiit from a request body, which can send a flat list of exercises
+// instead for a hiit of a single round. Gives undefined when the body sends neither.
+function requestBlocks(body) {
+  if (body.exercises) {
+    return hb.singleBlock(body.exercises);
+  }
+  return body.blocks;
+}
+
+// Handler function to search the hiits, with their totals when ?include=summary is given.
+// The number of hiits that matched, before paging, is sent in the X-Total-Count header.
+async function getHiits(req, res, next) {
   try {
-    const hiits = await hb.listHiits();
+    const { hiits, total } = await hb.searchHiits({
+      summary: req.query.include === 'summary',
+      userId: userId(req),
+      q: req.query.q,
+      type: req.query.type,
+      tag: req.query.tag,
+      equipment: req.query.equipment,
+      minDuration: queryNumber(req.query.min_duration),
+      maxDuration: queryNumber(req.query.max_duration),
+      sort: req.query.sort,
+      order: req.query.order,
+      limit: queryNumber(req.query.limit),
+      offset: queryNumber(req.query.offset),
+    });
+    res.set('X-Total-Count', String(total));
     res.json(hiits);
   } catch (error) {
-    console.error('Error fetching hiits:', error);
-    res.status(500).send('Internal Server Error');
+    next(error);
+  }
+}
+
+// Handler function to get one hiit with its ordered exercises and totals
+async function getHiit(req, res, next) {
+  try {
+    const hiit = await hb.getHiit(req.params.id);
+    // Another user's hiits are hidden as if they did not exist
+    if (!hiit || !auth.canView(hiit, req.user)) {
+      res.status(404).json({ error: 'Hiit not found' });
+      return;
+    }
+    res.json(hiit);
+  } catch (error) {
+    next(error);
   }
 }
 
-// Handler function to add a new hiit
-async function postHiit(req, res) {
+// Handler function to add a new hiit, together with any blocks or exercises nested inside it
+async function postHiit(req, res, next) {
   try {
-    const hiit = await hb.addHiit(
+    const hiit = await hb.createHiit(
       req.body.hiit_id,
       req.body.name,
       req.body.description,
-      req.body.type,
+      req.body.type ?? 'custom',
+      requestBlocks(req.body),
+      userId(req),
+      req.body.format,
+      req.body.time_cap,
     );
     res.json(hiit);
   } catch (error) {
-    console.error('Error adding hiit:', error);
+    next(error);
+  }
+}
+
+// Handler function to download a hiit and its exercises as a hiit file
+async function getHiitExport(req, res, next) {
+  try {
+    const hiit = await hb.getHiit(req.params.id);
+    if (!hiit || !auth.canView(hiit, req.user)) {
+      res.status(404).json({ error: 'Hiit not found' });
+      return;
+    }
+    res.attachment(hiitFile.hiitFileName(hiit));
+    res.json(hiitFile.toHiitFile(hiit));
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Handler function to create a new custom hiit from an uploaded hiit file
+async function postHiitImport(req, res, next) {
+  try {
+    const { name, description, blocks, format, timeCap } = hiitFile.fromHiitFile(req.body);
+    const hiit = await hb.createHiit(
+      undefined,
+      name,
+      description,
+      'custom',
+      blocks,
+      userId(req),
+      format,
+      timeCap,
+    );
+    res.status(201).json(hiit);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Handler function to generate a hiit from the exercise library, to preview before it is saved.
+// Nothing is stored: the hiit is sent back in the shape POST /hiits takes, with its seed.
+async function postHiitGenerate(req, res, next) {
+  try {
+    const generated = generator.generateHiit(await hb.listLibrary({ userId: userId(req) }), {
+      duration: req.body.duration,
+      ratio: req.body.work_rest_ratio,
+      equipment: req.body.equipment,
+      focus: req.body.focus,
+      difficulty: req.body.difficulty,
+      seed: req.body.seed ?? generator.newSeed(),
+    });
+    if (!generated) {
+      res.status(422).json({ error: 'No exercises in the library fit these options' });
+      return;
+    }
+    res.json(generated);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Handler function to copy a hiit and its exercises into a new custom hiit
+async function postHiitClone(req, res, next) {
+  try {
+    const hiit = await hb.findHiit(req.params.id);
+    if (!hiit || !auth.canView(hiit, req.user)) {
+      res.status(404).json({ error: 'Hiit not found' });
+      return;
+    }
+    res.status(201).json(await hb.cloneHiit(req.params.id, userId(req)));
+  } catch (error) {
+    next(error);
   }
 }
 
 // Handler function to add a new exercise
-async function postExercise(req, res) {
+async function postExercise(req, res, next) {
   try {
+    const hiit = await hb.findHiit(req.body.hiit_id);
+    if (!auth.canModify(hiit, req.user)) {
+      res.status(403).json({ error: auth.modifyError(hiit) });
+      return;
+    }
     const exercise = await hb.addExercise(
       req.body.name,
       req.body.description,
       req.body.exercise_duration,
       req.body.rest_duration,
       req.body.hiit_id,
+      req.body.library_id,
+      req.body.reps ?? null,
+      req.body.sides ?? 1,
     );
     res.json(exercise);
   } catch (error) {
-    console.error('Error adding exercise:', error);
+    next(error);
   }
 }
 
 // Handler function to get all exercises
-async function getExercise(req, res) {
+async function getExercise(req, res, next) {
+  try {
+    res.json(await hb.listExercises(userId(req)));
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Handler function to browse the exercise library, optionally by muscle group or equipment
+async function getLibrary(req, res, next) {
+  try {
+    res.json(
+      await hb.listLibrary({
+        userId: userId(req),
+        muscleGroup: req.query.muscle_group,
+        equipment: req.query.equipment,
+      }),
+    );
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Handler function to get one exercise library entry
+async function getLibraryEntry(req, res, next) {
+  try {
+    const entry = await hb.findLibraryEntry(req.params.id);
+    if (!entry || !auth.canViewLibraryEntry(entry, req.user)) {
+      res.status(404).json({ error: 'Library entry not found' });
+      return;
+    }
+    res.json(entry);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Handler function to add an entry to the exercise library
+async function postLibraryEntry(req, res, next) {
+  try {
+    res.status(201).json(await hb.addLibraryEntry(req.body, userId(req)));
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Handler function to update a hiit and its blocks and exercises
+async function putHiit(req, res, next) {
+  try {
+    const hiit = await hb.getHiit(req.params.id);
+    if (!hiit) {
+      res.status(404).json({ error: 'Hiit not found' });
+      return;
+    }
+    if (!auth.canModify(hiit, req.user)) {
+      res.status(403).json({ error: auth.modifyError(hiit) });
+      return;
+    }
+    // Fields left out of the request keep their current value
+    const updated = await hb.updateHiit(
+      req.params.id,
+      req.body.name ?? hiit.name,
+      req.body.description ?? hiit.description,
+      requestBlocks(req.body) ?? hb.blocksWithExercises(hiit),
+      req.body.format ?? hiit.format,
+      req.body.time_cap ?? hiit.time_cap,
+    );
+    res.set('ETag', cache.hiitETag(updated));
+    res.json(updated);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Handler function to reorder the exercises of a hiit
+async function putExerciseOrder(req, res, next) {
   try {
-    res.json(await hb.listExercises());
+    const hiit = await hb.getHiit(req.params.id);
+    if (!hiit) {
+      res.status(404).json({ error: 'Hiit not found' });
+      return;
+    }
+    if (!auth.canModify(hiit, req.user)) {
+      res.status(403).json({ error: auth.modifyError(hiit) });
+      return;
+    }
+    // The new order has to name every exercise of the hiit exactly once
+    const currentIds = hiit.exercises.map((exercise) => exercise.exercise_id);
+    const order = req.body.order;
+    if (
+      order.length !== currentIds.length ||
+      !order.every((id) => currentIds.includes(id))
+    ) {
+      validate.sendFieldErrors(res, [
+        {
+          field: 'order',
+          message: 'order must list every exercise of the hiit exactly once',
+        },
+      ]);
+      return;
+    }
+    // Exercises can only move around inside their own block
+    const blockIds = new Map(hiit.exercises.map((exercise) => [exercise.exercise_id, exercise.block_id]));
+    if (!order.every((id, index) => blockIds.get(id) === hiit.exercises[index].block_id)) {
+      validate.sendFieldErrors(res, [
+        { field: 'order', message: 'order must keep every exercise in its own block' },
+      ]);
+      return;
+    }
+    const reordered = await hb.reorderExercises(req.params.id, order);
+    res.set('ETag', cache.hiitETag(reordered));
+    res.json(reordered);
   } catch (error) {
-    console.error('Error fetching exercises:', error);
+    next(error);
   }
 }
 
-// Handler function to delete a hiit
-async function handleDeleteHiit(req, res) {
+// Handler function to move a hiit to the trash
+async function handleDeleteHiit(req, res, next) {
   try {
+    const hiit = await hb.findHiit(req.params.id);
+    if (hiit && !auth.canModify(hiit, req.user)) {
+      res.status(403).json({ error: auth.modifyError(hiit) });
+      return;
+    }
     await hb.deleteHiit(req.params.id);
     res.status(204).send('will delete');
   } catch (error) {
-    console.error('Error deleting hiit:', error);
+    next(error);
+  }
+}
+
+// Handler function to list the hiits in the trash that the user can restore
+async function getTrash(req, res, next) {
+  try {
+    res.json(await hb.listTrash(userId(req)));
+  } catch (error) {
+    next(error);
   }
 }
 
+// Function to find a hiit in the trash that the user may restore or purge, or send why not
+async function trashedHiitFor(req, res) {
+  const hiit = await hb.findTrashedHiit(req.params.id);
+  if (!hiit) {
+    res.status(404).json({ error: 'Hiit not found in the trash' });
+    return undefined;
+  }
+  if (!auth.canModify(hiit, req.user)) {
+    res.status(403).json({ error: auth.modifyError(hiit) });
+    return undefined;
+  }
+  return hiit;
+}
+
+// Handler function to take a hiit back out of the trash
+async function postTrashRestore(req, res, next) {
+  try {
+    if (await trashedHiitFor(req, res)) {
+      res.json(await hb.restoreHiit(req.params.id));
+    }
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Handler function to delete a hiit in the trash for good
+async function deleteTrashedHiit(req, res, next) {
+  try {
+    if (await trashedHiitFor(req, res)) {
+      await hb.purgeHiit(req.params.id);
+      res.status(204).send();
+    }
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Handler function to get the performed workout sessions of the logged-in user, or of guests
+async function getSessions(req, res, next) {
+  try {
+    res.json(await hb.listSessions(userId(req)));
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Handler function to record a performed workout session
+async function postSession(req, res, next) {
+  try {
+    res.status(201).json(await hb.addSession(req.body, userId(req)));
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Handler function to import the sessions of an old localStorage history in one go
+async function postSessionImport(req, res, next) {
+  try {
+    res.status(201).json(await hb.addSessions(req.body.sessions, userId(req)));
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Handler function to get training totals, streaks and favourites over a date range
+async function getStats(req, res, next) {
+  try {
+    res.json(
+      await stats.getStats({
+        group: req.query.group,
+        from: req.query.from,
+        to: req.query.to,
+        userId: userId(req),
+      }),
+    );
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Handler function to tell a liveness probe the server is running, without touching the database
+function getHealthz(req, res) {
+  res.json({ status: 'ok' });
+}
+
+// Handler function to tell a readiness probe whether the database answers and is fully migrated
+async function getReadyz(req, res) {
+  try {
+    const pending = await hb.checkDatabase();
+    const ready = pending.length === 0;
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ready' : 'not ready',
+      checks: {
+        database: 'ok',
+        migrations: ready ? 'ok' : `pending: ${pending.join(', ')}`,
+      },
+    });
+  } catch (error) {
+    logger.warn('readiness check failed', { request_id: req.id, error: errorFields(error) });
+    res.status(503).json({
+      status: 'not ready',
+      checks: { database: 'unavailable', migrations: 'unknown' },
+    });
+  }
+}
+
+// Handler function to send the request and database metrics in the Prometheus text format
+async function getMetrics(req, res, next) {
+  try {
+    res.type('text/plain; version=0.0.4').send(await metrics.renderMetrics());
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Handler function to create an account and log straight into it
+async function postRegister(req, res, next) {
+  try {
+    if (await hb.findUserByName(req.body.username)) {
+      validate.sendFieldErrors(res, [
+        { field: 'username', message: 'username is already taken' },
+      ]);
+      return;
+    }
+    const user = await hb.addUser(
+      uuidv4(),
+      req.body.username,
+      await auth.hashPassword(req.body.password),
+    );
+    await auth.startLogin(res, user);
+    res.status(201).json(user);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Handler function to log in with a username and password
+async function postLogin(req, res, next) {
+  try {
+    const user = await hb.findUserByName(req.body.username);
+    if (!user || !(await auth.verifyPassword(req.body.password, user.password_hash))) {
+      res.status(401).json({ error: 'Invalid username or password' });
+      return;
+    }
+    await auth.startLogin(res, user);
+    res.json(await hb.findUser(user.user_id));
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Handler function to log out
+async function postLogout(req, res, next) {
+  try {
+    await auth.endLogin(req, res);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Handler function to get the logged-in user
+function getMe(req, res) {
+  res.json(req.user);
+}
+
+// Registering the routes for health checks and monitoring
+app.get('/healthz', getHealthz);
+app.get('/readyz', getReadyz);
+app.get('/metrics', getMetrics);
+
+// Registering the routes for user accounts
+app.post('/auth/register', express.json(), validate.validateCredentials, postRegister);
+app.post('/auth/login', express.json(), validate.validateCredentials, postLogin);
+app.post('/auth/logout', postLogout);
+app.get('/auth/me', auth.requireUser, getMe);
+
 // Registering the delete route for hiits
-app.delete('/hiits/:id', handleDeleteHiit);
+app.delete('/hiits/:id', cache.checkIfMatch, handleDeleteHiit);
+
+// Registering the routes for the trash of deleted hiits
+app.get('/trash', getTrash);
+app.post('/trash/:id/restore', postTrashRestore);
+app.delete('/trash/:id', deleteTrashedHiit);
+
+// Registering the update routes for hiits
+app.put('/hiits/:id', cache.checkIfMatch, express.json(), validate.validateHiitUpdate, putHiit);
+app.patch('/hiits/:id', cache.checkIfMatch, express.json(), validate.validateHiitUpdate, putHiit);
+
+// Registering the reorder route for the exercises of a hiit
+app.put(
+  '/hiits/:id/exercises/order',
+  cache.checkIfMatch,
+  express.json(),
+  validate.validateExerciseOrder,
+  putExerciseOrder,
+);
+
+// Registering the export and import routes for hiit files
+app.get('/hiits/:id/export', getHiitExport);
+app.post('/hiits/import', express.json(), validate.validateHiitImport, postHiitImport);
+
+// Registering the route that generates a hiit from the exercise library
+app.post('/hiits/generate', express.json(), validate.validateHiitGenerate, postHiitGenerate);
+
+// Registering the route that copies a hiit
+app.post('/hiits/:id/clone', postHiitClone);
 
 // Registering the get route for hiits
-app.get('/hiits', getHiits);
+app.get('/hiits', validate.validateHiitQuery, cache.cacheByDataVersion, getHiits);
+
+// Registering the get route for a single hiit
+app.get('/hiits/:id', cache.cacheByHiitVersion, getHiit);
 
 // Registering the post route for hiits
-app.post('/hiits', express.json(), postHiit);
+app.post('/hiits', express.json(), validate.validateNewHiit, postHiit);
 
 // Registering the post route for exercises
-app.post('/exercise', express.json(), postExercise);
+app.post('/exercise', express.json(), validate.validateNewExercise, postExercise);
 
 // Registering the get route for exercises
-app.get('/exercise', getExercise);
+app.get('/exercise', cache.cacheByDataVersion, getExercise);
+
+// Registering the routes for the exercise library
+app.get('/library', cache.cacheByDataVersion, getLibrary);
+app.get('/library/:id', cache.cacheByDataVersion, getLibraryEntry);
+app.post('/library', express.json(), validate.validateLibraryEntry, postLibraryEntry);
+
+// Registering the routes for workout sessions
+app.get('/sessions', getSessions);
+app.post('/sessions', express.json(), validate.validateNewSession, postSession);
+app.post(
+  '/sessions/import',
+  express.json(),
+  validate.validateSessionImport,
+  postSessionImport,
+);
+
+// Registering the route for training statistics
+app.get('/stats', validate.validateStatsQuery, getStats);
+
+// Serving the OpenAPI description of the API, which the docs page at /docs shows
+app.get('/openapi.json', (req, res) => {
+  res.sendFile(`${__dirname}/openapi.json`);
+});
 
 // Serving the index.html file for all other routes under '/app/'
 app.get('/app/*/', (req, res) => {
   res.sendFile(`${__dirname}/client/index.html`);
 });
 
+// Answering requests that match no route with a JSON error
+app.use((req, res) => {
+  res.status(404).json({ error: 'Not found' });
+});
+
+// Function to work out the status code an error is answered with. Errors from parsing the
+// request body carry a client error status; anything else is a fault of the server.
+function errorStatus(error) {
+  const status = error.status ?? error.statusCode;
+  return status >= 400 && status < 500 ? status : 500;
+}
+
+// Middleware to log every error passed on by a handler and answer it with a JSON error body.
+// The details of a server fault are only written to the log, under the request's ID.
+function handleError(error, req, res, next) {
+  const status = errorStatus(error);
+  const fields = { request_id: req.id, method: req.method, path: req.path, status, error: errorFields(error) };
+  if (status >= 500) {
+    logger.error('request failed', fields);
+  } else {
+    logger.warn('request rejected', fields);
+  }
+  // A response that has already started can only be cut off, which Express does itself
+  if (res.headersSent) {
+    next(error);
+    return;
+  }
+  if (error.type === 'entity.parse.failed') {
+    validate.sendFieldErrors(res, [{ field: 'body', message: 'body is not valid JSON' }]);
+  } else if (status < 500) {
+    res.status(status).json({ error: error.expose ? error.message : 'Bad request' });
+  } else {
+    res.status(500).json({ error: 'Something went wrong on the server' });
+  }
+}
+
+app.use(handleError);
+
 // Export app for testing
 export { app };
 
@@ -101,7 +646,10 @@ const port = 8080;
 // Only start the server when not running tests
 if (process.env.NODE_ENV !== 'test') {
   app.listen(port, () => {
-    console.log(`Server listening on Port:${port}`);
-    console.log(`→ http://localhost:${port}`);
+    logger.info('server listening', {
+      port,
+      url: `http://localhost:${port}`,
+      storage: config.storage.backend,
+    });
   });
 }
@@ -0,0 +1,55 @@
+import * as hb from './hiitboard.js';
+
+// Length of a day in milliseconds
+const dayLength = 24 * 60 * 60 * 1000;
+
+// Function to count the days between two YYYY-MM-DD dates
+function daysBetween(earlier, later) {
+  return Math.round((Date.parse(later) - Date.parse(earlier)) / dayLength);
+}
+
+// Function to turn seconds into minutes, to one decimal place
+function toMinutes(seconds) {
+  return Math.round((seconds / 60) * 10) / 10;
+}
+
+// Function to work out the current and longest run of consecutive training days.
+// The current streak still counts when the last session was yesterday, since today is not over yet.
+export function calculateStreaks(days, today) {
+  let longest = 0;
+  let run = 0;
+  days.forEach((day, index) => {
+    run = index > 0 && daysBetween(days[index - 1], day) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+  const lastDay = days.at(-1);
+  const current = lastDay && daysBetween(lastDay, today) <= 1 ? run : 0;
+  return { current, longest };
+}
+
+// Function to gather a user's training totals, streaks and favourites for a date range
+export async function getStats({ group = 'week', from, to, userId = null, today = new Date() }) {
+  const filter = { from, to, userId };
+  const [totals, days, hiits, exercises] = await Promise.all([
+    hb.sessionTotalsByPeriod(group, filter),
+    hb.listSessionDays(userId),
+    hb.topHiits(filter),
+    hb.topExercises(filter),
+  ]);
+  return {
+    group,
+    from: from ?? null,
+    to: to ?? null,
+    periods: totals.map((total) => ({
+      period: total.period,
+      sessions: total.sessions,
+      training_minutes: toMinutes(total.training_seconds),
+      warm_up_minutes: toMinutes(total.warm_up_seconds),
+      cool_down_minutes: toMinutes(total.cool_down_seconds),
+      exercises: total.exercises,
+    })),
+    streaks: calculateStreaks(days, today.toISOString().slice(0, 10)),
+    top_hiits: hiits,
+    top_exercises: exercises,
+  };
+}
@@ -0,0 +1,109 @@
+import { open } from 'sqlite';
+import sqlite3 from 'sqlite3';
+import fs from 'fs';
+import path from 'path';
+
+// The folder of numbered migrations, e.g. 001-initial.sql, applied in order
+const migrationsPath = './migrations-sqlite';
+
+// Function to open a SQLite database and bring its schema up to date
+async function openSqlite(filename) {
+  const db = await open({
+    filename,
+    driver: sqlite3.Database,
+  });
+  // Wait for a lock instead of failing when another connection is writing
+  db.configure('busyTimeout', 3000);
+  await db.migrate({ migrationsPath });
+  return db;
+}
+
+// The storage backends hiitboard.js can run on. Each one opens a connection that the
+// queries of hiitboard.js run against, with the schema and default hiits in place.
+export const backends = {
+  // A database file at the configured path, kept between runs
+  sqlite: ({ path }) => openSqlite(path),
+  // A database that only lives as long as the process, so every run starts fresh
+  memory: () => openSqlite(':memory:'),
+};
+
+// Function to open the storage backend named in the options
+export function openStorage(options) {
+  const backend = backends[options.backend];
+  if (!backend) {
+    const names = Object.keys(backends).join(', ');
+    return Promise.reject(new Error(`Unknown storage backend "${options.backend}", expected one of: ${names}`));
+  }
+  return backend(options);
+}
+
+// Function to list the migrations applied to a database, oldest first
+export function listMigrations(db) {
+  return db.all('SELECT id, name FROM migrations ORDER BY id');
+}
+
+// Function to list the migration files that have not been applied to a database yet
+export async function pendingMigrations(db) {
+  const applied = new Set((await listMigrations(db)).map((migration) => migration.id));
+  return fs
+    .readdirSync(migrationsPath)
+    .filter((file) => /^\d+-.+\.sql$/.test(file))
+    .filter((file) => !applied.has(Number(file.split('-')[0])))
+    .sort();
+}
+
+// Function to check that the storage keeps its data in a file the database commands can work on
+export function storageFile(options) {
+  if (options.backend !== 'sqlite') {
+    throw new Error(`The ${options.backend} backend keeps no database file to manage`);
+  }
+  return options.path;
+}
+
+// Function to delete a SQLite database file along with any journal SQLite left next to it
+function removeDatabaseFile(file) {
+  for (const suffix of ['', '-journal', '-wal', '-shm']) {
+    fs.rmSync(`${file}${suffix}`, { force: true });
+  }
+}
+
+// Function to throw away all data and start again from the migrations, with only the default hiits
+export async function resetStorage(options) {
+  removeDatabaseFile(storageFile(options));
+  const db = await openStorage(options);
+  await db.close();
+}
+
+// Function to copy the whole database into a new backup file
+export async function backupStorage(options, file) {
+  storageFile(options);
+  if (fs.existsSync(file)) {
+    throw new Error(`${file} already exists`);
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = await openStorage(options);
+  try {
+    await db.run('VACUUM INTO ?', file);
+  } finally {
+    await db.close();
+  }
+}
+
+// Function to replace the database with a backup, then bring the backup up to the latest migration
+export async function restoreStorage(options, file) {
+  const target = storageFile(options);
+  try {
+    const backup = await open({ filename: file, driver: sqlite3.Database, mode: sqlite3.OPEN_READONLY });
+    try {
+      await listMigrations(backup);
+    } finally {
+      await backup.close();
+    }
+  } catch {
+    throw new Error(`${file} is not a SeeFit database backup`);
+  }
+  removeDatabaseFile(target);
+  fs.copyFileSync(file, target);
+  const db = await openStorage(options);
+  await db.close();
+}
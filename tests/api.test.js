@@ -1,6 +1,11 @@
 import { describe, it, expect, beforeAll, afterAll } from 'vitest';
 import request from 'supertest';
 import { app } from '../server.js';
+import * as hb from '../hiitboard.js';
+import { spec, recordResponses, responseErrors } from './openapi.js';
+
+// Every JSON response these tests get is kept, to check against openapi.json at the end
+const responses = recordResponses(app);
 
 // ============================================================
 // API Integration Tests for SeeFit HIIT Application
@@ -9,6 +14,8 @@ import { app } from '../server.js';
 // Store created HIIT IDs for cleanup / cross-test references
 let createdHiitId;
 const testHiitId = 'test-uuid-1234-5678-abcdefabcdef';
+const nestedHiitId = 'test-uuid-nest-5678-abcdefabcdef';
+const brokenHiitId = 'test-uuid-fail-5678-abcdefabcdef';
 
 // ----------------------------------------------------------
 // 1. GET /hiits – List all HIITs
@@ -49,6 +56,145 @@ describe('GET /hiits', () => {
   });
 });
 
+// ----------------------------------------------------------
+// 1a. GET /hiits – Search, filter, sort and paging
+// ----------------------------------------------------------
+describe('GET /hiits search', () => {
+  const names = (res) => res.body.map((h) => h.name);
+
+  it('should search the name and description', async () => {
+    const res = await request(app).get('/hiits?type=default&q=tabata');
+    expect(names(res)).toEqual(['Tabata Torch']);
+  });
+
+  it('should treat wildcard characters in the search literally', async () => {
+    const res = await request(app).get('/hiits?q=%25');
+    expect(res.body).toEqual([]);
+  });
+
+  it('should filter by type', async () => {
+    const res = await request(app).get('/hiits?type=default');
+    expect(res.body.length).toBe(8);
+    expect(res.body.every((h) => h.type === 'default')).toBe(true);
+  });
+
+  it('should filter by the equipment the exercises need', async () => {
+    const dumbbells = await request(app).get('/hiits?type=default&equipment=dumbbells');
+    expect(names(dumbbells)).toEqual(['Total Body Torcher']);
+    const none = await request(app).get('/hiits?type=default&equipment=none');
+    expect(names(none)).not.toContain('Total Body Torcher');
+    expect(names(none)).not.toContain('Power Plyo HIIT');
+    expect(names(none)).toContain('Tabata Torch');
+  });
+
+  it('should filter by a muscle group tag of the exercises', async () => {
+    const res = await request(app).get('/hiits?type=default&tag=back');
+    expect(names(res)).toEqual(['Total Body Torcher']);
+  });
+
+  it('should filter by total duration', async () => {
+    const res = await request(app).get(
+      '/hiits?type=default&include=summary&min_duration=400&max_duration=470',
+    );
+    expect(res.body.length).toBeGreaterThan(0);
+    expect(res.body.every((h) => h.total_duration >= 400 && h.total_duration <= 470)).toBe(
+      true,
+    );
+  });
+
+  it('should sort by name and by duration', async () => {
+    const byName = await request(app).get('/hiits?type=default&sort=name');
+    expect(names(byName)).toEqual([...names(byName)].sort((a, b) => a.localeCompare(b)));
+    const byDuration = await request(app).get(
+      '/hiits?type=default&include=summary&sort=duration&order=desc',
+    );
+    const durations = byDuration.body.map((h) => h.total_duration);
+    expect(durations).toEqual([...durations].sort((a, b) => b - a));
+  });
+
+  it('should sort the most recently performed HIIT first', async () => {
+    await request(app).post('/sessions').send({
+      hiit_id: 'f3a1bf47-5c68-4c31-bba4-af6c86016a4e',
+      hiit_name: 'Sweat Sesh HIIT',
+      started_at: '2030-01-01T08:00:00.000Z',
+      ended_at: '2030-01-01T08:05:00.000Z',
+      planned_duration: 300,
+      actual_duration: 300,
+      completed_exercises: 4,
+    });
+    const res = await request(app).get('/hiits?type=default&include=summary&sort=recent');
+    expect(res.body[0].name).toBe('Sweat Sesh HIIT');
+    expect(res.body[0].last_performed).toBe('2030-01-01T08:00:00.000Z');
+  });
+
+  it('should page through the results and send the total count', async () => {
+    const all = await request(app).get('/hiits?type=default');
+    const page = await request(app).get('/hiits?type=default&limit=3&offset=2');
+    expect(page.headers['x-total-count']).toBe('8');
+    expect(page.body).toEqual(all.body.slice(2, 5));
+  });
+
+  it('should reject unknown sorts and bad numbers', async () => {
+    const res = await request(app).get(
+      '/hiits?sort=rating&limit=0&min_duration=10&max_duration=abc',
+    );
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.field)).toEqual(['sort', 'max_duration', 'limit']);
+  });
+
+  it('should reject a duration range that ends before it starts', async () => {
+    const res = await request(app).get('/hiits?min_duration=600&max_duration=300');
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.field)).toEqual(['max_duration']);
+  });
+});
+
+// ----------------------------------------------------------
+// 1b. GET /hiits/:id – One HIIT with its exercises and totals
+// ----------------------------------------------------------
+describe('GET /hiits/:id', () => {
+  const quickBlastId = '5d51f171-afbf-4885-91e3-83f0cc72499d';
+
+  it('should return the HIIT with its ordered exercises', async () => {
+    const res = await request(app).get(`/hiits/${quickBlastId}`);
+    expect(res.status).toBe(200);
+    expect(res.body.name).toBe('HIIT Quick Blast');
+    expect(res.body.exercises.map((e) => e.name)).toEqual([
+      'Jumping Jacks',
+      'High knees',
+      'Burpees',
+      'Mountain climbers',
+    ]);
+  });
+
+  it('should include the exercise count and total durations', async () => {
+    const res = await request(app).get(`/hiits/${quickBlastId}`);
+    // Jumping Jacks 60+60, High Knees 45+60, Burpees 60+60, Mountain Climbers 60+60
+    expect(res.body.exercise_count).toBe(4);
+    expect(res.body.total_work_duration).toBe(225);
+    expect(res.body.total_rest_duration).toBe(240);
+    expect(res.body.total_duration).toBe(465);
+  });
+
+  it('should return 404 for a non-existent HIIT', async () => {
+    const res = await request(app).get('/hiits/non-existent-id');
+    expect(res.status).toBe(404);
+  });
+
+  it('should include the totals in the list when asked for a summary', async () => {
+    const res = await request(app).get('/hiits?include=summary');
+    expect(res.status).toBe(200);
+    const quickBlast = res.body.find((h) => h.hiits_id === quickBlastId);
+    expect(quickBlast.exercise_count).toBe(4);
+    expect(quickBlast.total_duration).toBe(465);
+  });
+
+  it('should leave the totals out of the plain list', async () => {
+    const res = await request(app).get('/hiits');
+    expect(res.body[0]).not.toHaveProperty('total_duration');
+  });
+});
+
 // ----------------------------------------------------------
 // 2. POST /hiits – Create a custom HIIT
 // ----------------------------------------------------------
@@ -80,6 +226,616 @@ describe('POST /hiits', () => {
     // 8 defaults + 1 custom
     expect(res.body.length).toBeGreaterThanOrEqual(9);
   });
+
+  it('should create a HIIT with nested exercises in one request', async () => {
+    const res = await request(app)
+      .post('/hiits')
+      .send({
+        hiit_id: nestedHiitId,
+        name: 'Nested HIIT',
+        description: 'Created with its exercises',
+        type: 'custom',
+        exercises: [
+          {
+            name: 'Nested One',
+            description: 'First exercise',
+            exercise_duration: 30,
+            rest_duration: 10,
+          },
+          {
+            name: 'Nested Two',
+            description: 'Second exercise',
+            exercise_duration: 20,
+            rest_duration: 10,
+          },
+        ],
+      });
+    expect(res.status).toBe(200);
+    expect(res.body.hiits_id).toBe(nestedHiitId);
+    expect(res.body.exercises.map((e) => e.name)).toEqual([
+      'Nested One',
+      'Nested Two',
+    ]);
+  });
+
+  it('should roll back the HIIT when one of its exercises is invalid', async () => {
+    const res = await request(app)
+      .post('/hiits')
+      .send({
+        hiit_id: brokenHiitId,
+        name: 'Broken HIIT',
+        description: 'Has an exercise without durations',
+        type: 'custom',
+        exercises: [
+          {
+            name: 'Valid',
+            description: 'Fine',
+            exercise_duration: 30,
+            rest_duration: 10,
+          },
+          { name: 'Invalid' },
+        ],
+      });
+    expect(res.status).toBeGreaterThanOrEqual(400);
+
+    const [hiitsRes, exercisesRes] = await Promise.all([
+      request(app).get('/hiits'),
+      request(app).get('/exercise'),
+    ]);
+    expect(hiitsRes.body.find((h) => h.hiits_id === brokenHiitId)).toBeUndefined();
+    expect(exercisesRes.body.filter((e) => e.hiit_id === brokenHiitId)).toEqual([]);
+  });
+
+  it('should generate a hiits_id when none is given', async () => {
+    const res = await request(app)
+      .post('/hiits')
+      .send({ name: 'No ID HIIT', description: 'Server assigned', type: 'custom' });
+    expect(res.status).toBe(200);
+    expect(res.body.hiits_id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(res.body.exercises).toEqual([]);
+    await request(app).delete(`/hiits/${res.body.hiits_id}`);
+  });
+});
+
+// ----------------------------------------------------------
+// 2a. Blocks – Exercises repeated for a number of rounds
+// ----------------------------------------------------------
+describe('HIIT blocks', () => {
+  let blocksHiitId;
+  const move = (name) => ({
+    name,
+    description: 'Block move',
+    exercise_duration: 20,
+    rest_duration: 10,
+  });
+
+  it('should create a HIIT from blocks and count every round in its totals', async () => {
+    const res = await request(app)
+      .post('/hiits')
+      .send({
+        name: 'Block HIIT',
+        description: 'Two blocks of rounds',
+        blocks: [
+          {
+            rounds: 8,
+            round_rest_duration: 30,
+            block_rest_duration: 60,
+            exercises: [move('Block One'), move('Block Two')],
+          },
+          { rounds: 2, exercises: [move('Block Three')] },
+        ],
+      });
+    expect(res.status).toBe(200);
+    blocksHiitId = res.body.hiits_id;
+    expect(res.body.blocks).toEqual([
+      expect.objectContaining({ position: 0, rounds: 8, round_rest_duration: 30 }),
+      expect.objectContaining({ position: 1, rounds: 2, round_rest_duration: 0 }),
+    ]);
+    expect(res.body.exercises.map((e) => e.block_id)).toEqual([
+      res.body.blocks[0].block_id,
+      res.body.blocks[0].block_id,
+      res.body.blocks[1].block_id,
+    ]);
+    expect(res.body.exercise_count).toBe(3);
+    expect(res.body.total_work_duration).toBe(20 * 2 * 8 + 20 * 2);
+    expect(res.body.total_duration).toBe(30 * 2 * 8 + 30 * 7 + 60 + 30 * 2);
+  });
+
+  it('should keep the blocks when a PATCH leaves them out', async () => {
+    const res = await request(app)
+      .patch(`/hiits/${blocksHiitId}`)
+      .send({ name: 'Block HIIT 2' });
+    expect(res.status).toBe(200);
+    expect(res.body.blocks.map((block) => block.rounds)).toEqual([8, 2]);
+    expect(res.body.exercises.length).toBe(3);
+  });
+
+  it('should only reorder exercises inside their own block', async () => {
+    const before = await request(app).get(`/hiits/${blocksHiitId}`);
+    const [one, two, three] = before.body.exercises.map((e) => e.exercise_id);
+    const across = await request(app)
+      .put(`/hiits/${blocksHiitId}/exercises/order`)
+      .send({ order: [three, one, two] });
+    expect(across.status).toBe(400);
+    const inside = await request(app)
+      .put(`/hiits/${blocksHiitId}/exercises/order`)
+      .send({ order: [two, one, three] });
+    expect(inside.status).toBe(200);
+    expect(inside.body.exercises.map((e) => e.name)).toEqual([
+      'Block Two',
+      'Block One',
+      'Block Three',
+    ]);
+    await request(app).delete(`/hiits/${blocksHiitId}`);
+  });
+
+  it('should reject bad rounds, empty blocks and blocks sent with exercises', async () => {
+    const res = await request(app)
+      .post('/hiits')
+      .send({
+        name: 'Bad Blocks',
+        description: 'Invalid',
+        blocks: [
+          { rounds: 0, round_rest_duration: -5, exercises: [move('Fine')] },
+          { exercises: [] },
+        ],
+      });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.field)).toEqual([
+      'blocks[0].rounds',
+      'blocks[0].round_rest_duration',
+      'blocks[1].exercises',
+    ]);
+    const both = await request(app)
+      .post('/hiits')
+      .send({
+        name: 'Both',
+        description: 'Invalid',
+        exercises: [move('Flat')],
+        blocks: [{ exercises: [move('Nested')] }],
+      });
+    expect(both.status).toBe(400);
+    expect(both.body.errors.map((e) => e.field)).toEqual(['blocks']);
+  });
+
+  it('should put the warm-up first and the cool-down last, with their own totals', async () => {
+    const res = await request(app)
+      .post('/hiits')
+      .send({
+        name: 'Phased HIIT',
+        description: 'Warm up and cool down',
+        blocks: [
+          { phase: 'cool_down', exercises: [move('Stretch')] },
+          { exercises: [move('Sprint')] },
+          { phase: 'warm_up', exercises: [move('March')] },
+        ],
+      });
+    expect(res.status).toBe(200);
+    expect(res.body.blocks.map((block) => block.phase)).toEqual(['warm_up', 'main', 'cool_down']);
+    expect(res.body.exercises.map((e) => e.name)).toEqual(['March', 'Sprint', 'Stretch']);
+    expect(res.body.warm_up_duration).toBe(30);
+    expect(res.body.cool_down_duration).toBe(30);
+    expect(res.body.total_duration).toBe(90);
+    await request(app).delete(`/hiits/${res.body.hiits_id}`);
+  });
+
+  it('should reject an unknown phase', async () => {
+    const res = await request(app)
+      .post('/hiits')
+      .send({
+        name: 'Bad Phase',
+        description: 'Invalid',
+        blocks: [{ phase: 'stretch', exercises: [move('Stretch')] }],
+      });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      { field: 'blocks[0].phase', message: 'blocks[0].phase must be one of: warm_up, main, cool_down' },
+    ]);
+  });
+});
+
+// ----------------------------------------------------------
+// 2a. Formats – Interval, Tabata, EMOM and AMRAP
+// ----------------------------------------------------------
+describe('HIIT formats', () => {
+  const timed = (name, work, rest) => ({
+    name: `Format ${name}`,
+    description: 'Format move',
+    exercise_duration: work,
+    rest_duration: rest,
+  });
+
+  it('should say which format each HIIT is done in', async () => {
+    const res = await request(app).get('/hiits/6bddceaa-8c75-4946-84df-38a4f2abbe79');
+    expect(res.body).toMatchObject({ format: 'tabata', time_cap: null });
+    const quickBlast = await request(app).get('/hiits/5d51f171-afbf-4885-91e3-83f0cc72499d');
+    expect(quickBlast.body.format).toBe('interval');
+  });
+
+  it('should last an AMRAP as long as its time cap, in the list too', async () => {
+    const res = await request(app)
+      .post('/hiits')
+      .send({
+        name: 'Format AMRAP',
+        description: 'Rounds until time is up',
+        format: 'amrap',
+        time_cap: 600,
+        exercises: [timed('Burpees', 30, 10), timed('Squats', 30, 10)],
+      });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ format: 'amrap', time_cap: 600, total_duration: 600 });
+    const list = await request(app).get('/hiits?include=summary&q=Format AMRAP');
+    expect(list.body[0].total_duration).toBe(600);
+    // Leaving the AMRAP behind drops its time cap
+    const interval = await request(app)
+      .patch(`/hiits/${res.body.hiits_id}`)
+      .send({ format: 'interval' });
+    expect(interval.status).toBe(200);
+    expect(interval.body).toMatchObject({ format: 'interval', time_cap: null, total_duration: 80 });
+    await request(app).delete(`/hiits/${res.body.hiits_id}`);
+  });
+
+  it('should reject an AMRAP without a time cap or with a warm-up', async () => {
+    const res = await request(app)
+      .post('/hiits')
+      .send({
+        name: 'Bad AMRAP',
+        description: 'Invalid',
+        format: 'amrap',
+        blocks: [{ phase: 'warm_up', exercises: [timed('March', 30, 10)] }],
+      });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.field)).toEqual(['time_cap', 'blocks[0].phase']);
+  });
+
+  it('should only take 20 seconds of work and 10 of rest in a Tabata', async () => {
+    const res = await request(app)
+      .post('/hiits')
+      .send({
+        name: 'Bad Tabata',
+        description: 'Invalid',
+        format: 'tabata',
+        exercises: [timed('Sprint', 20, 10), timed('Jog', 30, 10)],
+      });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.field)).toEqual(['exercises[1].exercise_duration']);
+  });
+
+  it('should fill every minute of an EMOM, also with added exercises and format changes', async () => {
+    const res = await request(app)
+      .post('/hiits')
+      .send({
+        name: 'Format EMOM',
+        description: 'Every minute on the minute',
+        format: 'emom',
+        exercises: [timed('Swings', 40, 20)],
+      });
+    expect(res.status).toBe(200);
+    const hiitId = res.body.hiits_id;
+    const added = await request(app)
+      .post('/exercise')
+      .send({ ...timed('Rows', 30, 15), hiit_id: hiitId });
+    expect(added.status).toBe(400);
+    expect(added.body.errors.map((e) => e.field)).toEqual(['exercise_duration']);
+    const tabata = await request(app).patch(`/hiits/${hiitId}`).send({ format: 'tabata' });
+    expect(tabata.status).toBe(400);
+    expect(tabata.body.errors.map((e) => e.field)).toEqual(['format']);
+    await request(app).delete(`/hiits/${hiitId}`);
+  });
+
+  it('should reject an unknown format', async () => {
+    const res = await request(app)
+      .post('/hiits')
+      .send({ name: 'Bad Format', description: 'Invalid', format: 'circuit' });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      { field: 'format', message: 'format must be one of: interval, tabata, emom, amrap' },
+    ]);
+  });
+});
+
+// ----------------------------------------------------------
+// 2b. Hiit files – Export and import
+// ----------------------------------------------------------
+describe('HIIT export and import', () => {
+  const quickBlastId = '5d51f171-afbf-4885-91e3-83f0cc72499d';
+  let exported;
+
+  it('should download a HIIT as a versioned file', async () => {
+    const res = await request(app).get(`/hiits/${quickBlastId}/export`);
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toBe(
+      'attachment; filename="hiit-quick-blast.seefit.json"',
+    );
+    expect(res.body).toMatchObject({ format: 'seefit-hiit', version: 5 });
+    expect(res.body.hiit).toMatchObject({ format: 'interval', time_cap: null });
+    expect(res.body.hiit.name).toBe('HIIT Quick Blast');
+    expect(res.body.hiit).not.toHaveProperty('hiits_id');
+    expect(res.body.hiit.blocks.length).toBe(1);
+    expect(res.body.hiit.blocks[0]).toMatchObject({
+      phase: 'main',
+      rounds: 1,
+      round_rest_duration: 0,
+      block_rest_duration: 0,
+    });
+    expect(res.body.hiit.blocks[0].exercises[0]).toEqual({
+      name: 'Jumping Jacks',
+      description: expect.any(String),
+      exercise_duration: 60,
+      rest_duration: 60,
+      reps: null,
+      sides: 1,
+    });
+    exported = res.body;
+  });
+
+  it('should return 404 when exporting an unknown HIIT', async () => {
+    const res = await request(app).get('/hiits/non-existent-id/export');
+    expect(res.status).toBe(404);
+  });
+
+  it('should import a file as a new custom HIIT with a new ID', async () => {
+    const res = await request(app).post('/hiits/import').send(exported);
+    expect(res.status).toBe(201);
+    expect(res.body.hiits_id).not.toBe(quickBlastId);
+    expect(res.body.type).toBe('custom');
+    expect(res.body.exercises.map((e) => e.name)).toEqual(
+      exported.hiit.blocks[0].exercises.map((e) => e.name),
+    );
+    await request(app).delete(`/hiits/${res.body.hiits_id}`);
+  });
+
+  it('should still import a version 1 file with a flat list of exercises', async () => {
+    const { exercises } = exported.hiit.blocks[0];
+    const res = await request(app)
+      .post('/hiits/import')
+      .send({ ...exported, version: 1, hiit: { ...exported.hiit, blocks: undefined, exercises } });
+    expect(res.status).toBe(201);
+    expect(res.body.blocks.map((block) => block.rounds)).toEqual([1]);
+    expect(res.body.exercises.length).toBe(exercises.length);
+    await request(app).delete(`/hiits/${res.body.hiits_id}`);
+  });
+
+  it('should reject a file from a newer version of the format', async () => {
+    const res = await request(app)
+      .post('/hiits/import')
+      .send({ ...exported, version: 6 });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.field)).toEqual(['version']);
+  });
+
+  it('should report problems inside the file with their path', async () => {
+    const res = await request(app)
+      .post('/hiits/import')
+      .send({
+        format: 'seefit-hiit',
+        version: 1,
+        hiit: {
+          description: 'No name',
+          exercises: [{ name: 'Squats', description: 'Sit', exercise_duration: 30 }],
+        },
+      });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.field)).toEqual([
+      'hiit.name',
+      'hiit.exercises[0].rest_duration',
+    ]);
+  });
+
+  it('should reject a library entry that does not exist', async () => {
+    const res = await request(app)
+      .post('/hiits/import')
+      .send({
+        format: 'seefit-hiit',
+        version: 1,
+        hiit: {
+          name: 'Unknown entry',
+          description: 'Points at nothing',
+          exercises: [{ library_id: 999999, exercise_duration: 30, rest_duration: 10 }],
+        },
+      });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      {
+        field: 'hiit.exercises[0].library_id',
+        message: 'hiit.exercises[0].library_id does not exist',
+      },
+    ]);
+  });
+
+  it('should reject JSON that is not a HIIT file', async () => {
+    const res = await request(app).post('/hiits/import').send({ name: 'Loose' });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.field)).toEqual(['format', 'version', 'hiit']);
+  });
+});
+
+// ----------------------------------------------------------
+// 2c. POST /hiits/:id/clone – Copy a HIIT
+// ----------------------------------------------------------
+describe('POST /hiits/:id/clone', () => {
+  const tabataTorchId = '6bddceaa-8c75-4946-84df-38a4f2abbe79';
+
+  it('should copy a default HIIT into an editable custom HIIT', async () => {
+    const res = await request(app).post(`/hiits/${tabataTorchId}/clone`);
+    expect(res.status).toBe(201);
+    expect(res.body.name).toBe('Tabata Torch (copy)');
+    expect(res.body.type).toBe('custom');
+    expect(res.body.exercise_count).toBe(4);
+    const edit = await request(app)
+      .put(`/hiits/${res.body.hiits_id}`)
+      .send({ name: 'Tabata Torch Long' });
+    expect(edit.status).toBe(200);
+    await request(app).delete(`/hiits/${res.body.hiits_id}`);
+  });
+
+  it('should return 404 for an unknown HIIT', async () => {
+    const res = await request(app).post('/hiits/non-existent-id/clone');
+    expect(res.status).toBe(404);
+  });
+});
+
+// ----------------------------------------------------------
+// 2d. /library – The shared exercise library
+// ----------------------------------------------------------
+describe('/library', () => {
+  let burpees;
+
+  it('should list each movement of the default HIITs once', async () => {
+    const res = await request(app).get('/library');
+    expect(res.status).toBe(200);
+    const named = res.body.filter((entry) => entry.name === 'Burpees');
+    expect(named.length).toBe(1);
+    burpees = named[0];
+    expect(burpees.muscle_groups).toEqual(['full body']);
+    expect(burpees.equipment).toEqual([]);
+  });
+
+  it('should filter the library by equipment and muscle group', async () => {
+    const dumbbells = await request(app).get('/library?equipment=dumbbells');
+    expect(dumbbells.body.map((entry) => entry.name)).toEqual([
+      'Dumbbell thrusters',
+      'Renegade rows',
+    ]);
+    const core = await request(app).get('/library?muscle_group=core');
+    expect(core.body.every((entry) => entry.muscle_groups.includes('core'))).toBe(true);
+    expect(core.body.map((entry) => entry.name)).toContain('Russian twists');
+  });
+
+  it('should return one entry, or 404 for an unknown one', async () => {
+    const res = await request(app).get(`/library/${burpees.library_id}`);
+    expect(res.body).toEqual(burpees);
+    const missing = await request(app).get('/library/999999');
+    expect(missing.status).toBe(404);
+  });
+
+  it('should add an entry to the library', async () => {
+    const res = await request(app)
+      .post('/library')
+      .send({
+        name: 'Kettlebell swings',
+        description: 'Swing the kettlebell up to chest height',
+        muscle_groups: ['glutes', 'back'],
+        equipment: ['kettlebell'],
+      });
+    expect(res.status).toBe(201);
+    expect(res.body.library_id).toBeGreaterThan(0);
+    expect(res.body.equipment).toEqual(['kettlebell']);
+  });
+
+  it('should reject an entry with bad tags', async () => {
+    const res = await request(app)
+      .post('/library')
+      .send({ name: 'Odd', description: 'Odd', equipment: 'kettlebell' });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.field)).toEqual(['equipment']);
+  });
+
+  it('should build a HIIT from library entries with their own timings', async () => {
+    const res = await request(app)
+      .post('/hiits')
+      .send({
+        name: 'Library HIIT',
+        description: 'Picked from the library',
+        exercises: [
+          { library_id: burpees.library_id, exercise_duration: 20, rest_duration: 10 },
+          { library_id: burpees.library_id, exercise_duration: 40, rest_duration: 20 },
+        ],
+      });
+    expect(res.status).toBe(200);
+    expect(res.body.exercises.map((e) => [e.name, e.exercise_duration])).toEqual([
+      ['Burpees', 20],
+      ['Burpees', 40],
+    ]);
+    expect(res.body.exercises[0].description).toBe(burpees.description);
+    await request(app).delete(`/hiits/${res.body.hiits_id}`);
+  });
+
+  it('should reject a slot that points at an unknown library entry', async () => {
+    const res = await request(app)
+      .post('/hiits')
+      .send({
+        name: 'Broken Library',
+        description: 'Unknown entry',
+        exercises: [{ library_id: 999999, exercise_duration: 20, rest_duration: 10 }],
+      });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      { field: 'exercises[0].library_id', message: 'exercises[0].library_id does not exist' },
+    ]);
+  });
+});
+
+// ----------------------------------------------------------
+// 2e. POST /hiits/generate – A HIIT made from the library
+// ----------------------------------------------------------
+describe('POST /hiits/generate', () => {
+  it('should generate the same unsaved HIIT for the same seed', async () => {
+    const before = await request(app).get('/hiits');
+    const options = { duration: 900, focus: ['core', 'legs'], seed: 42 };
+    const first = await request(app).post('/hiits/generate').send(options);
+    expect(first.status).toBe(200);
+    expect(first.body.seed).toBe(42);
+    const second = await request(app).post('/hiits/generate').send(options);
+    expect(second.body).toEqual(first.body);
+    const after = await request(app).get('/hiits');
+    expect(after.body.length).toBe(before.body.length);
+  });
+
+  it('should only use the allowed equipment and the focus areas', async () => {
+    const res = await request(app)
+      .post('/hiits/generate')
+      .send({ duration: 1200, focus: ['core'], difficulty: 'advanced', seed: 7 });
+    const library = await request(app).get('/library');
+    const exercises = res.body.hiit.blocks[0].exercises;
+    expect(exercises.length).toBeGreaterThan(1);
+    for (const exercise of exercises) {
+      const entry = library.body.find((e) => e.library_id === exercise.library_id);
+      expect(entry.muscle_groups).toContain('core');
+      expect(entry.equipment).toEqual([]);
+    }
+  });
+
+  it('should follow the work:rest ratio and come close to the duration', async () => {
+    const res = await request(app)
+      .post('/hiits/generate')
+      .send({ duration: 600, work_rest_ratio: '1:1', difficulty: 'beginner', seed: 3 });
+    const [block] = res.body.hiit.blocks;
+    expect(block.exercises.every((e) => e.exercise_duration === 20 && e.rest_duration === 20)).toBe(
+      true,
+    );
+    // Within half a round of the duration asked for
+    expect(Math.abs(res.body.total_duration - 600)).toBeLessThanOrEqual(
+      (block.exercises.length * 40 + block.round_rest_duration) / 2,
+    );
+    // The preview can be saved as it is
+    const saved = await request(app).post('/hiits').send(res.body.hiit);
+    expect(saved.status).toBe(200);
+    expect(saved.body.total_duration).toBe(res.body.total_duration);
+    await request(app).delete(`/hiits/${saved.body.hiits_id}`);
+  });
+
+  it('should answer 422 when no exercise fits the options', async () => {
+    const res = await request(app)
+      .post('/hiits/generate')
+      .send({ duration: 600, focus: ['tail'] });
+    expect(res.status).toBe(422);
+    expect(res.body.error).toBe('No exercises in the library fit these options');
+  });
+
+  it('should reject bad options', async () => {
+    const res = await request(app)
+      .post('/hiits/generate')
+      .send({ work_rest_ratio: '2-1', equipment: 'box', difficulty: 'expert', seed: -1 });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.field)).toEqual([
+      'duration',
+      'work_rest_ratio',
+      'equipment',
+      'difficulty',
+      'seed',
+    ]);
+  });
 });
 
 // ----------------------------------------------------------
@@ -173,15 +929,196 @@ describe('POST /exercise', () => {
     const pushups = res.body.find((e) => e.name === 'Test Pushups');
     expect(pushups.exercise_duration).toBe(30);
     expect(pushups.rest_duration).toBe(15);
+    expect(pushups.reps).toBeNull();
+    expect(pushups.sides).toBe(1);
   });
-});
 
-// ----------------------------------------------------------
-// 5. DELETE /hiits/:id – Delete a custom HIIT
-// ----------------------------------------------------------
-describe('DELETE /hiits/:id', () => {
-  it('should delete the custom HIIT and return 204', async () => {
-    const res = await request(app).delete(`/hiits/${testHiitId}`);
+  it('should store a rep-based exercise done on each side', async () => {
+    const res = await request(app)
+      .post('/exercise')
+      .send({
+        name: 'Test Step-ups',
+        description: 'Step up and down',
+        exercise_duration: 40,
+        rest_duration: 20,
+        reps: 12,
+        sides: 2,
+        hiit_id: testHiitId,
+      });
+    expect(res.status).toBe(200);
+    const exercises = await request(app).get('/exercise');
+    const stepUps = exercises.body.find((e) => e.name === 'Test Step-ups');
+    expect(stepUps).toMatchObject({ reps: 12, sides: 2 });
+  });
+
+  it('should reject reps below 1 and sides other than 1 or 2', async () => {
+    const res = await request(app)
+      .post('/exercise')
+      .send({
+        name: 'Test Bad Reps',
+        description: 'Invalid',
+        exercise_duration: 40,
+        rest_duration: 20,
+        reps: 0,
+        sides: 3,
+        hiit_id: testHiitId,
+      });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      { field: 'reps', message: 'reps must be a whole number of at least 1' },
+      { field: 'sides', message: 'sides must be one of: 1, 2' },
+    ]);
+  });
+});
+
+// ----------------------------------------------------------
+// 5. PUT /hiits/:id – Edit a custom HIIT
+// ----------------------------------------------------------
+describe('PUT /hiits/:id', () => {
+  it('should update the name, description and exercises in one call', async () => {
+    const res = await request(app)
+      .put(`/hiits/${testHiitId}`)
+      .send({
+        name: 'Edited HIIT',
+        description: 'An edited test HIIT',
+        exercises: [
+          {
+            name: 'Test Lunges',
+            description: 'A replacement exercise',
+            exercise_duration: 40,
+            rest_duration: 20,
+          },
+        ],
+      });
+    expect(res.status).toBe(200);
+    expect(res.body.name).toBe('Edited HIIT');
+    expect(res.body.description).toBe('An edited test HIIT');
+    expect(res.body.exercises.map((e) => e.name)).toEqual(['Test Lunges']);
+  });
+
+  it('should replace the previous exercises of the HIIT', async () => {
+    const res = await request(app).get('/exercise');
+    const names = res.body
+      .filter((e) => e.hiit_id === testHiitId)
+      .map((e) => e.name);
+    expect(names).toEqual(['Test Lunges']);
+  });
+
+  it('should keep fields that are left out of a PATCH', async () => {
+    const res = await request(app)
+      .patch(`/hiits/${testHiitId}`)
+      .send({ name: 'Patched HIIT' });
+    expect(res.status).toBe(200);
+    expect(res.body.name).toBe('Patched HIIT');
+    expect(res.body.description).toBe('An edited test HIIT');
+    expect(res.body.exercises.length).toBe(1);
+  });
+
+  it('should return 404 for a non-existent HIIT', async () => {
+    const res = await request(app)
+      .put('/hiits/non-existent-id')
+      .send({ name: 'Nothing' });
+    expect(res.status).toBe(404);
+  });
+
+  it('should refuse to edit a default HIIT', async () => {
+    const res = await request(app)
+      .put('/hiits/5d51f171-afbf-4885-91e3-83f0cc72499d')
+      .send({ name: 'Hacked' });
+    expect(res.status).toBe(403);
+  });
+});
+
+// ----------------------------------------------------------
+// 5b. PUT /hiits/:id/exercises/order – Reorder exercises
+// ----------------------------------------------------------
+describe('PUT /hiits/:id/exercises/order', () => {
+  it('should store the exercises in the order they were created', async () => {
+    const res = await request(app).get(`/hiits/${nestedHiitId}`);
+    expect(res.body.exercises.map((e) => e.name)).toEqual([
+      'Nested One',
+      'Nested Two',
+    ]);
+    expect(res.body.exercises.map((e) => e.position)).toEqual([0, 1]);
+  });
+
+  it('should reorder the exercises of a custom HIIT', async () => {
+    const before = await request(app).get(`/hiits/${nestedHiitId}`);
+    const order = before.body.exercises.map((e) => e.exercise_id).reverse();
+    const res = await request(app)
+      .put(`/hiits/${nestedHiitId}/exercises/order`)
+      .send({ order });
+    expect(res.status).toBe(200);
+    expect(res.body.exercises.map((e) => e.name)).toEqual([
+      'Nested Two',
+      'Nested One',
+    ]);
+  });
+
+  it('should keep the new order on later reads', async () => {
+    const res = await request(app).get(`/hiits/${nestedHiitId}`);
+    expect(res.body.exercises.map((e) => e.name)).toEqual([
+      'Nested Two',
+      'Nested One',
+    ]);
+  });
+
+  it('should add a single exercise at the end of the order', async () => {
+    await request(app)
+      .post('/exercise')
+      .send({
+        name: 'Nested Three',
+        description: 'Third exercise',
+        exercise_duration: 15,
+        rest_duration: 5,
+        hiit_id: nestedHiitId,
+      });
+    const res = await request(app).get(`/hiits/${nestedHiitId}`);
+    expect(res.body.exercises.map((e) => e.name).at(-1)).toBe('Nested Three');
+  });
+
+  it('should reject an order that leaves out an exercise', async () => {
+    const before = await request(app).get(`/hiits/${nestedHiitId}`);
+    const order = before.body.exercises.map((e) => e.exercise_id).slice(1);
+    const res = await request(app)
+      .put(`/hiits/${nestedHiitId}/exercises/order`)
+      .send({ order });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.field)).toEqual(['order']);
+  });
+
+  it('should reject an order that is not a list of IDs', async () => {
+    const res = await request(app)
+      .put(`/hiits/${nestedHiitId}/exercises/order`)
+      .send({ order: 'backwards' });
+    expect(res.status).toBe(400);
+  });
+
+  it('should refuse to reorder a default HIIT', async () => {
+    const before = await request(app).get(
+      '/hiits/5d51f171-afbf-4885-91e3-83f0cc72499d',
+    );
+    const order = before.body.exercises.map((e) => e.exercise_id).reverse();
+    const res = await request(app)
+      .put('/hiits/5d51f171-afbf-4885-91e3-83f0cc72499d/exercises/order')
+      .send({ order });
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 404 for a non-existent HIIT', async () => {
+    const res = await request(app)
+      .put('/hiits/non-existent-id/exercises/order')
+      .send({ order: [1] });
+    expect(res.status).toBe(404);
+  });
+});
+
+// ----------------------------------------------------------
+// 6. DELETE /hiits/:id – Delete a custom HIIT
+// ----------------------------------------------------------
+describe('DELETE /hiits/:id', () => {
+  it('should delete the custom HIIT and return 204', async () => {
+    const res = await request(app).delete(`/hiits/${testHiitId}`);
     expect(res.status).toBe(204);
   });
 
@@ -191,14 +1128,549 @@ describe('DELETE /hiits/:id', () => {
     expect(deleted).toBeUndefined();
   });
 
+  it('should delete the HIIT created with nested exercises', async () => {
+    const res = await request(app).delete(`/hiits/${nestedHiitId}`);
+    expect(res.status).toBe(204);
+  });
+
   it('should return 204 even for a non-existent ID (idempotent)', async () => {
     const res = await request(app).delete('/hiits/non-existent-id');
     expect(res.status).toBe(204);
   });
+
+  it('should refuse to delete a default HIIT', async () => {
+    const res = await request(app).delete('/hiits/5d51f171-afbf-4885-91e3-83f0cc72499d');
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Default hiits cannot be edited');
+  });
+});
+
+// ----------------------------------------------------------
+// 6b. /trash – Restore or purge deleted HIITs
+// ----------------------------------------------------------
+describe('/trash', () => {
+  it('should keep the deleted HIIT in the trash until it expires', async () => {
+    const res = await request(app).get('/trash');
+    expect(res.status).toBe(200);
+    const trashed = res.body.find((h) => h.hiits_id === testHiitId);
+    const retention = Date.parse(trashed.expires_at) - Date.parse(trashed.deleted_at);
+    expect(retention).toBe(30 * 24 * 60 * 60 * 1000);
+  });
+
+  it('should hide a HIIT in the trash from the other routes', async () => {
+    const res = await request(app).get(`/hiits/${testHiitId}`);
+    expect(res.status).toBe(404);
+  });
+
+  it('should restore a HIIT with its exercises', async () => {
+    const res = await request(app).post(`/trash/${testHiitId}/restore`);
+    expect(res.status).toBe(200);
+    expect(res.body.exercises.length).toBeGreaterThan(0);
+    const list = await request(app).get('/hiits');
+    expect(list.body.map((h) => h.hiits_id)).toContain(testHiitId);
+    await request(app).delete(`/hiits/${testHiitId}`);
+  });
+
+  it('should delete a HIIT in the trash for good, with its exercises', async () => {
+    const res = await request(app).delete(`/trash/${testHiitId}`);
+    expect(res.status).toBe(204);
+    const trash = await request(app).get('/trash');
+    expect(trash.body.map((h) => h.hiits_id)).not.toContain(testHiitId);
+    const restore = await request(app).post(`/trash/${testHiitId}/restore`);
+    expect(restore.status).toBe(404);
+  });
+
+  it('should return 404 when restoring a HIIT that is not in the trash', async () => {
+    const res = await request(app).post('/trash/5d51f171-afbf-4885-91e3-83f0cc72499d/restore');
+    expect(res.status).toBe(404);
+  });
+});
+
+// ----------------------------------------------------------
+// 7. Request validation – Structured 400 errors
+// ----------------------------------------------------------
+describe('Request validation', () => {
+  it('should reject a HIIT without a name with a field error', async () => {
+    const res = await request(app)
+      .post('/hiits')
+      .send({ description: 'Missing a name', type: 'custom' });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      { field: 'name', message: 'name is required' },
+    ]);
+  });
+
+  it('should reject a HIIT name longer than 20 characters', async () => {
+    const res = await request(app)
+      .post('/hiits')
+      .send({ name: 'A name that is far too long', description: 'Desc' });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.field)).toEqual(['name']);
+  });
+
+  it('should reject a duplicate hiit_id', async () => {
+    const res = await request(app)
+      .post('/hiits')
+      .send({
+        hiit_id: '5d51f171-afbf-4885-91e3-83f0cc72499d',
+        name: 'Duplicate',
+        description: 'Reuses a default ID',
+      });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.field)).toEqual(['hiit_id']);
+  });
+
+  it('should point nested exercise errors at the exercise index', async () => {
+    const res = await request(app)
+      .post('/hiits')
+      .send({
+        name: 'Bad exercise',
+        description: 'Second exercise has no rest',
+        exercises: [
+          { name: 'A', description: 'A', exercise_duration: 10, rest_duration: 5 },
+          { name: 'B', description: 'B', exercise_duration: 10 },
+        ],
+      });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.field)).toEqual([
+      'exercises[1].rest_duration',
+    ]);
+  });
+
+  it('should reject an exercise for a HIIT that does not exist', async () => {
+    const res = await request(app)
+      .post('/exercise')
+      .send({
+        name: 'Orphan',
+        description: 'No such HIIT',
+        exercise_duration: 30,
+        rest_duration: 10,
+        hiit_id: 'non-existent-id',
+      });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      { field: 'hiit_id', message: 'hiit_id does not exist' },
+    ]);
+  });
+
+  it('should reject non-positive durations on an exercise', async () => {
+    const res = await request(app)
+      .post('/exercise')
+      .send({
+        name: 'Zero',
+        description: 'Zero duration',
+        exercise_duration: 0,
+        rest_duration: 10,
+        hiit_id: '5d51f171-afbf-4885-91e3-83f0cc72499d',
+      });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.field)).toEqual(['exercise_duration']);
+  });
+
+  it('should validate the fields given to PATCH /hiits/:id', async () => {
+    const res = await request(app)
+      .patch('/hiits/5d51f171-afbf-4885-91e3-83f0cc72499d')
+      .send({ description: '' });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.field)).toEqual(['description']);
+  });
 });
 
 // ----------------------------------------------------------
-// 6. Static file serving
+// 8. /sessions – Performed workout history
+// ----------------------------------------------------------
+describe('/sessions', () => {
+  const session = {
+    hiit_id: '5d51f171-afbf-4885-91e3-83f0cc72499d',
+    hiit_name: 'HIIT Quick Blast',
+    started_at: '2026-03-02T08:00:00.000Z',
+    ended_at: '2026-03-02T08:08:00.000Z',
+    planned_duration: 465,
+    actual_duration: 300,
+    completed_exercises: 3,
+    skipped_exercises: 1,
+  };
+  let sessionId;
+
+  it('should record a session and return it with an ID', async () => {
+    const res = await request(app).post('/sessions').send(session);
+    expect(res.status).toBe(201);
+    expect(res.body.session_id).toBeGreaterThan(0);
+    expect(res.body).toMatchObject(session);
+    sessionId = res.body.session_id;
+  });
+
+  it('should list the recorded session', async () => {
+    const res = await request(app).get('/sessions');
+    expect(res.status).toBe(200);
+    expect(res.body.map((s) => s.session_id)).toContain(sessionId);
+  });
+
+  it('should reject a session that ends before it starts', async () => {
+    const res = await request(app)
+      .post('/sessions')
+      .send({ ...session, ended_at: '2026-03-02T07:00:00.000Z' });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.field)).toEqual(['ended_at']);
+  });
+
+  it('should reject a session with missing counts', async () => {
+    const res = await request(app)
+      .post('/sessions')
+      .send({ ...session, completed_exercises: undefined, actual_duration: -1 });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.field)).toEqual([
+      'actual_duration',
+      'completed_exercises',
+    ]);
+  });
+
+  it('should reject a warm-up and cool-down longer than the session', async () => {
+    const res = await request(app)
+      .post('/sessions')
+      .send({ ...session, actual_duration: 100, warm_up_duration: 60, cool_down_duration: 60 });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.field)).toEqual(['actual_duration']);
+  });
+
+  it('should import a batch of legacy sessions in one request', async () => {
+    const res = await request(app)
+      .post('/sessions/import')
+      .send({
+        sessions: [
+          { ...session, hiit_id: undefined, hiit_name: 'Legacy One' },
+          { ...session, hiit_id: undefined, hiit_name: 'Legacy Two' },
+        ],
+      });
+    expect(res.status).toBe(201);
+    expect(res.body.map((s) => s.hiit_name)).toEqual(['Legacy One', 'Legacy Two']);
+    expect(res.body[0].hiit_id).toBeNull();
+  });
+
+  it('should import nothing when one legacy session is invalid', async () => {
+    const res = await request(app)
+      .post('/sessions/import')
+      .send({
+        sessions: [
+          { ...session, hiit_name: 'Legacy Three' },
+          { ...session, hiit_name: '' },
+        ],
+      });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.field)).toEqual(['sessions[1].hiit_name']);
+    const list = await request(app).get('/sessions');
+    expect(list.body.map((s) => s.hiit_name)).not.toContain('Legacy Three');
+  });
+});
+
+// ----------------------------------------------------------
+// 8b. GET /stats – Training totals, streaks and favourites
+// ----------------------------------------------------------
+describe('GET /stats', () => {
+  const range = 'from=2025-06-01&to=2025-06-30';
+
+  beforeAll(async () => {
+    const performed = (startedAt, actualDuration, completedExercises, phases = {}) => ({
+      hiit_id: '6bddceaa-8c75-4946-84df-38a4f2abbe79',
+      hiit_name: 'Tabata Torch',
+      started_at: startedAt,
+      ended_at: startedAt,
+      planned_duration: 465,
+      actual_duration: actualDuration,
+      completed_exercises: completedExercises,
+      ...phases,
+    });
+    await request(app)
+      .post('/sessions/import')
+      .send({
+        sessions: [
+          performed('2025-06-02T07:00:00.000Z', 465, 4), // Monday
+          performed('2025-06-03T07:00:00.000Z', 120, 2),
+          // next week, with a warm-up and cool-down
+          performed('2025-06-10T07:00:00.000Z', 465, 4, {
+            warm_up_duration: 60,
+            cool_down_duration: 45,
+          }),
+        ],
+      });
+  });
+
+  it('should group sessions by week starting on Monday by default', async () => {
+    const res = await request(app).get(`/stats?${range}`);
+    expect(res.status).toBe(200);
+    expect(res.body.group).toBe('week');
+    expect(res.body.periods).toEqual([
+      {
+        period: '2025-06-02',
+        sessions: 2,
+        training_minutes: 9.8,
+        warm_up_minutes: 0,
+        cool_down_minutes: 0,
+        exercises: 6,
+      },
+      {
+        period: '2025-06-09',
+        sessions: 1,
+        training_minutes: 6,
+        warm_up_minutes: 1,
+        cool_down_minutes: 0.8,
+        exercises: 4,
+      },
+    ]);
+  });
+
+  it('should group sessions by day', async () => {
+    const res = await request(app).get(`/stats?group=day&${range}`);
+    expect(res.body.periods.map((p) => p.period)).toEqual([
+      '2025-06-02',
+      '2025-06-03',
+      '2025-06-10',
+    ]);
+  });
+
+  it('should group sessions by month', async () => {
+    const res = await request(app).get(`/stats?group=month&${range}`);
+    expect(res.body.periods).toEqual([
+      {
+        period: '2025-06-01',
+        sessions: 3,
+        training_minutes: 15.8,
+        warm_up_minutes: 1,
+        cool_down_minutes: 0.8,
+        exercises: 10,
+      },
+    ]);
+  });
+
+  it('should list the most performed HIITs and exercises in the range', async () => {
+    const res = await request(app).get(`/stats?${range}`);
+    expect(res.body.top_hiits[0]).toMatchObject({
+      hiit_name: 'Tabata Torch',
+      sessions: 3,
+    });
+    // Every session completed Squats and Push-ups; only two reached Lunges
+    expect(res.body.top_exercises.slice(0, 3)).toEqual([
+      { name: 'Push-ups', times: 3 },
+      { name: 'Squats', times: 3 },
+      { name: 'Bicycle crunches', times: 2 },
+    ]);
+  });
+
+  it('should include the current and longest streaks', async () => {
+    const res = await request(app).get(`/stats?${range}`);
+    expect(res.body.streaks.longest).toBeGreaterThanOrEqual(2);
+    expect(res.body.streaks).toHaveProperty('current');
+  });
+
+  it('should reject an unknown grouping and bad dates', async () => {
+    const res = await request(app).get('/stats?group=year&from=June');
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.field)).toEqual(['group', 'from']);
+  });
+});
+
+// ----------------------------------------------------------
+// 8c. /auth – Accounts and ownership of custom HIITs
+// ----------------------------------------------------------
+describe('/auth', () => {
+  // Usernames are unique, so each run registers fresh accounts
+  const suffix = Date.now().toString(36);
+  const alice = { username: `alice_${suffix}`, password: 'correct-horse' };
+  const bob = { username: `bob_${suffix}`, password: 'battery-staple' };
+  const aliceAgent = request.agent(app);
+  const bobAgent = request.agent(app);
+  let privateHiitId;
+
+  it('should register an account and log it in', async () => {
+    const res = await aliceAgent.post('/auth/register').send(alice);
+    expect(res.status).toBe(201);
+    expect(res.body.username).toBe(alice.username);
+    expect(res.body).not.toHaveProperty('password_hash');
+    expect(res.headers['set-cookie'][0]).toMatch(/^seefit_session=.+HttpOnly/);
+    const me = await aliceAgent.get('/auth/me');
+    expect(me.body.user_id).toBe(res.body.user_id);
+  });
+
+  it('should reject a username that is already taken', async () => {
+    const res = await request(app).post('/auth/register').send(alice);
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      { field: 'username', message: 'username is already taken' },
+    ]);
+  });
+
+  it('should reject a short password', async () => {
+    const res = await request(app)
+      .post('/auth/register')
+      .send({ username: `carol_${suffix}`, password: 'short' });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.field)).toEqual(['password']);
+  });
+
+  it('should refuse a wrong password', async () => {
+    const res = await request(app)
+      .post('/auth/login')
+      .send({ ...alice, password: 'wrong-password' });
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid username or password');
+  });
+
+  it('should log in with the right password', async () => {
+    await bobAgent.post('/auth/register').send(bob);
+    const res = await request(app).post('/auth/login').send(bob);
+    expect(res.status).toBe(200);
+    expect(res.body.username).toBe(bob.username);
+    expect(res.headers['set-cookie'][0]).toMatch(/^seefit_session=/);
+  });
+
+  it('should return 401 from /auth/me for guests', async () => {
+    const res = await request(app).get('/auth/me');
+    expect(res.status).toBe(401);
+  });
+
+  it('should make a logged-in user the owner of the HIITs they create', async () => {
+    const res = await aliceAgent.post('/hiits').send({
+      name: 'Alice Only',
+      description: 'A private HIIT',
+      exercises: [
+        { name: 'Burpees', description: 'Jump', exercise_duration: 30, rest_duration: 10 },
+      ],
+    });
+    expect(res.status).toBe(200);
+    privateHiitId = res.body.hiits_id;
+    const me = await aliceAgent.get('/auth/me');
+    expect(res.body.owner_id).toBe(me.body.user_id);
+  });
+
+  it('should hide the HIIT from other users and guests', async () => {
+    const own = await aliceAgent.get('/hiits');
+    expect(own.body.map((h) => h.hiits_id)).toContain(privateHiitId);
+    const other = await bobAgent.get('/hiits');
+    expect(other.body.map((h) => h.hiits_id)).not.toContain(privateHiitId);
+    const guest = await request(app).get(`/hiits/${privateHiitId}`);
+    expect(guest.status).toBe(404);
+    const exercises = await bobAgent.get('/exercise');
+    expect(exercises.body.map((e) => e.hiit_id)).not.toContain(privateHiitId);
+  });
+
+  it('should return 403 when another user edits or deletes the HIIT', async () => {
+    const edit = await bobAgent.put(`/hiits/${privateHiitId}`).send({ name: 'Taken' });
+    expect(edit.status).toBe(403);
+    const remove = await bobAgent.delete(`/hiits/${privateHiitId}`);
+    expect(remove.status).toBe(403);
+    expect(remove.body.error).toBe('This hiit belongs to another user');
+    const exercise = await bobAgent.post('/exercise').send({
+      name: 'Squats',
+      description: 'Sit',
+      exercise_duration: 30,
+      rest_duration: 10,
+      hiit_id: privateHiitId,
+    });
+    expect(exercise.status).toBe(403);
+  });
+
+  it('should keep library entries a user adds to themselves', async () => {
+    const res = await aliceAgent
+      .post('/library')
+      .send({ name: 'Alice move', description: 'Only for Alice' });
+    expect(res.body.owner_id).not.toBeNull();
+    const other = await bobAgent.get(`/library/${res.body.library_id}`);
+    expect(other.status).toBe(404);
+    const slot = await bobAgent.post('/hiits').send({
+      name: 'Borrowed',
+      description: 'Uses Alice move',
+      exercises: [{ library_id: res.body.library_id, exercise_duration: 20, rest_duration: 10 }],
+    });
+    expect(slot.status).toBe(400);
+    const imported = await bobAgent.post('/hiits/import').send({
+      format: 'seefit-hiit',
+      version: 4,
+      hiit: {
+        name: 'Borrowed',
+        description: 'Imports Alice move',
+        blocks: [
+          {
+            exercises: [
+              { library_id: res.body.library_id, exercise_duration: 20, rest_duration: 10 },
+            ],
+          },
+        ],
+      },
+    });
+    expect(imported.status).toBe(400);
+    expect(imported.body.errors.map((e) => e.field)).toEqual([
+      'hiit.blocks[0].exercises[0].library_id',
+    ]);
+  });
+
+  it('should keep sessions apart per user', async () => {
+    await aliceAgent.post('/sessions').send({
+      hiit_id: privateHiitId,
+      hiit_name: 'Alice Only',
+      started_at: '2026-03-03T08:00:00.000Z',
+      ended_at: '2026-03-03T08:01:00.000Z',
+      planned_duration: 40,
+      actual_duration: 40,
+      completed_exercises: 1,
+    });
+    const own = await aliceAgent.get('/sessions');
+    expect(own.body.map((s) => s.hiit_name)).toEqual(['Alice Only']);
+    const guest = await request(app).get('/sessions');
+    expect(guest.body.map((s) => s.hiit_name)).not.toContain('Alice Only');
+    const stats = await bobAgent.get('/stats');
+    expect(stats.body.top_hiits).toEqual([]);
+  });
+
+  it('should not let another user log sessions against the private HIIT', async () => {
+    const res = await bobAgent.post('/sessions').send({
+      hiit_id: privateHiitId,
+      hiit_name: 'Not mine',
+      started_at: '2026-03-03T09:00:00.000Z',
+      ended_at: '2026-03-03T09:01:00.000Z',
+      planned_duration: 40,
+      actual_duration: 40,
+      completed_exercises: 1,
+    });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([{ field: 'hiit_id', message: 'hiit_id does not exist' }]);
+    const stats = await bobAgent.get('/stats');
+    expect(stats.body.top_exercises).toEqual([]);
+  });
+
+  it('should let the owner delete the HIIT', async () => {
+    const res = await aliceAgent.delete(`/hiits/${privateHiitId}`);
+    expect(res.status).toBe(204);
+  });
+
+  it('should keep the deleted HIIT out of other users\' trash', async () => {
+    const trash = await bobAgent.get('/trash');
+    expect(trash.body.map((h) => h.hiits_id)).not.toContain(privateHiitId);
+    const restore = await bobAgent.post(`/trash/${privateHiitId}/restore`);
+    expect(restore.status).toBe(403);
+  });
+
+  it('should not let another user take the ID of the deleted HIIT', async () => {
+    const res = await bobAgent.post('/hiits').send({
+      hiit_id: privateHiitId,
+      name: 'Taken ID',
+      description: 'Reuses a trashed ID',
+    });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([{ field: 'hiit_id', message: 'hiit_id already exists' }]);
+    const trash = await aliceAgent.get('/trash');
+    expect(trash.body.map((h) => h.hiits_id)).toContain(privateHiitId);
+  });
+
+  it('should log out and forget the session cookie', async () => {
+    const res = await aliceAgent.post('/auth/logout');
+    expect(res.status).toBe(204);
+    const me = await aliceAgent.get('/auth/me');
+    expect(me.status).toBe(401);
+  });
+});
+
+// ----------------------------------------------------------
+// 9. Static file serving
 // ----------------------------------------------------------
 describe('Static file serving', () => {
   it('should serve index.html at root', async () => {
@@ -215,7 +1687,7 @@ describe('Static file serving', () => {
 });
 
 // ----------------------------------------------------------
-// 7. Default HIIT data integrity
+// 10. Default HIIT data integrity
 // ----------------------------------------------------------
 describe('Default HIIT data integrity', () => {
   it('each default HIIT should have exactly 4 exercises', async () => {
@@ -233,6 +1705,12 @@ describe('Default HIIT data integrity', () => {
     });
   });
 
+  it('should do Renegade rows as reps on each side', async () => {
+    const res = await request(app).get('/exercise');
+    const rows = res.body.find((e) => e.name === 'Renegade rows');
+    expect(rows).toMatchObject({ reps: 10, sides: 2 });
+  });
+
   it('all default HIITs should have type "default"', async () => {
     const res = await request(app).get('/hiits');
     const defaultHiits = res.body.filter((h) => h.type === 'default');
@@ -250,3 +1728,216 @@ describe('Default HIIT data integrity', () => {
     });
   });
 });
+
+// ----------------------------------------------------------
+// 10a. Caching – ETags, conditional requests and If-Match
+// ----------------------------------------------------------
+describe('Caching', () => {
+  const cachedHiitId = 'test-uuid-etag-5678-abcdefabcdef';
+
+  it('should answer 304 when the list has not changed since the client fetched it', async () => {
+    const first = await request(app).get('/hiits');
+    expect(first.headers.etag).toMatch(/^"\d+-[0-9a-f]{16}"$/);
+    expect(first.headers['last-modified']).toBeDefined();
+    const again = await request(app).get('/hiits').set('If-None-Match', first.headers.etag);
+    expect(again.status).toBe(304);
+    expect(again.text).toBe('');
+  });
+
+  it('should give each query of a list its own ETag', async () => {
+    const [all, custom] = await Promise.all([
+      request(app).get('/hiits'),
+      request(app).get('/hiits?type=custom'),
+    ]);
+    expect(all.headers.etag).not.toBe(custom.headers.etag);
+  });
+
+  it('should send the list again once a HIIT has been written', async () => {
+    const before = await request(app).get('/exercise');
+    await request(app).post('/hiits').send({
+      hiit_id: cachedHiitId,
+      name: 'ETag HIIT',
+      description: 'Changes the data version',
+      exercises: [{ name: 'Cached move', description: 'One', exercise_duration: 20, rest_duration: 10 }],
+    });
+    const after = await request(app).get('/exercise').set('If-None-Match', before.headers.etag);
+    expect(after.status).toBe(200);
+    expect(after.headers.etag).not.toBe(before.headers.etag);
+  });
+
+  it('should version one HIIT by its own version and honour If-Modified-Since', async () => {
+    const res = await request(app).get(`/hiits/${cachedHiitId}`);
+    expect(res.headers.etag).toBe(`"${res.body.version}"`);
+    const again = await request(app)
+      .get(`/hiits/${cachedHiitId}`)
+      .set('If-Modified-Since', res.headers['last-modified']);
+    expect(again.status).toBe(304);
+  });
+
+  it('should refuse a write whose If-Match names an old version', async () => {
+    const loaded = await request(app).get(`/hiits/${cachedHiitId}`);
+    const first = await request(app)
+      .put(`/hiits/${cachedHiitId}`)
+      .set('If-Match', loaded.headers.etag)
+      .send({ name: 'First editor' });
+    expect(first.status).toBe(200);
+    expect(first.headers.etag).toBe(`"${first.body.version}"`);
+    expect(first.headers.etag).not.toBe(loaded.headers.etag);
+
+    const second = await request(app)
+      .put(`/hiits/${cachedHiitId}`)
+      .set('If-Match', loaded.headers.etag)
+      .send({ name: 'Second editor' });
+    expect(second.status).toBe(412);
+    expect((await request(app).get(`/hiits/${cachedHiitId}`)).body.name).toBe('First editor');
+  });
+
+  it('should check If-Match on reorders and deletes too', async () => {
+    const hiit = (await request(app).get(`/hiits/${cachedHiitId}`)).body;
+    const order = hiit.exercises.map((exercise) => exercise.exercise_id);
+    const reorder = await request(app)
+      .put(`/hiits/${cachedHiitId}/exercises/order`)
+      .set('If-Match', '"0"')
+      .send({ order });
+    expect(reorder.status).toBe(412);
+    const stale = await request(app).delete(`/hiits/${cachedHiitId}`).set('If-Match', '"0"');
+    expect(stale.status).toBe(412);
+    const current = await request(app)
+      .delete(`/hiits/${cachedHiitId}`)
+      .set('If-Match', `"${hiit.version}"`);
+    expect(current.status).toBe(204);
+  });
+});
+
+// ----------------------------------------------------------
+// 10b. Errors and request IDs
+// ----------------------------------------------------------
+describe('Errors and request IDs', () => {
+  it('should give every response a request ID', async () => {
+    const [apiRes, staticRes] = await Promise.all([
+      request(app).get('/hiits'),
+      request(app).get('/'),
+    ]);
+    expect(apiRes.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    expect(staticRes.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    expect(apiRes.headers['x-request-id']).not.toBe(staticRes.headers['x-request-id']);
+  });
+
+  it('should keep a request ID sent by a proxy', async () => {
+    const res = await request(app).get('/hiits').set('X-Request-Id', 'proxy-id-123');
+    expect(res.headers['x-request-id']).toBe('proxy-id-123');
+  });
+
+  it('should answer a body that is not JSON like any other validation error', async () => {
+    const res = await request(app)
+      .post('/hiits')
+      .set('Content-Type', 'application/json')
+      .send('{"name": ');
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({
+      error: 'Validation failed',
+      errors: [{ field: 'body', message: 'body is not valid JSON' }],
+    });
+  });
+
+  it('should answer an unknown API route with a JSON 404', async () => {
+    const res = await request(app).get('/no-such-route');
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ error: 'Not found' });
+  });
+
+  it('should answer a server fault without giving its details away', async () => {
+    // Closing the database under the server makes every query fail, until a new one is opened
+    const db = await hb.useStorage({ backend: 'memory' });
+    await db.close();
+    const res = await request(app).get('/sessions');
+    await hb.useStorage({ backend: 'memory' });
+    expect(res.status).toBe(500);
+    expect(res.body).toEqual({ error: 'Something went wrong on the server' });
+    expect(res.headers['x-request-id']).toBeDefined();
+  });
+});
+
+// ----------------------------------------------------------
+// 10c. Health, readiness and metrics
+// ----------------------------------------------------------
+describe('Monitoring', () => {
+  it('should answer the liveness probe', async () => {
+    const res = await request(app).get('/healthz');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ status: 'ok' });
+  });
+
+  it('should be ready once the database is open and migrated', async () => {
+    const res = await request(app).get('/readyz');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ status: 'ready', checks: { database: 'ok', migrations: 'ok' } });
+  });
+
+  it('should not be ready while the database does not answer', async () => {
+    const db = await hb.useStorage({ backend: 'memory' });
+    await db.close();
+    const res = await request(app).get('/readyz');
+    await hb.useStorage({ backend: 'memory' });
+    expect(res.status).toBe(503);
+    expect(res.body.checks.database).toBe('unavailable');
+  });
+
+  it('should count requests by route and gauge the hiits and sessions', async () => {
+    await request(app).get('/hiits/5d51f171-afbf-4885-91e3-83f0cc72499d');
+    const res = await request(app).get('/metrics');
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/plain/);
+    expect(res.text).toMatch(/^seefit_http_requests_total\{method="GET",route="\/hiits\/:id",status="200"\} \d+$/m);
+    expect(res.text).toMatch(/^seefit_http_request_duration_seconds_count\{method="GET",route="\/hiits\/:id"\} \d+$/m);
+    expect(res.text).toContain('seefit_hiits{type="default"} 8');
+    expect(res.text).toMatch(/^seefit_sessions \d+$/m);
+  });
+});
+
+// ----------------------------------------------------------
+// 11. OpenAPI document – The docs match the code
+// ----------------------------------------------------------
+describe('OpenAPI document', () => {
+  it('should be served at /openapi.json', async () => {
+    const res = await request(app).get('/openapi.json');
+    expect(res.status).toBe(200);
+    expect(res.body.openapi).toMatch(/^3\./);
+  });
+
+  it('should serve the docs page at /docs', async () => {
+    const res = await request(app).get('/docs');
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/html/);
+  });
+
+  it('should document every API route in server.js', () => {
+    const routes = app._router.stack
+      .filter((layer) => layer.route && !layer.route.path.startsWith('/app/'))
+      .flatMap((layer) =>
+        Object.keys(layer.route.methods).map(
+          (method) => `${method} ${layer.route.path.replace(/:(\w+)/g, '{$1}')}`,
+        ),
+      );
+    const undocumented = routes.filter((route) => {
+      const [method, path] = route.split(' ');
+      return !spec.paths[path]?.[method];
+    });
+    expect(undocumented).toEqual([]);
+  });
+
+  it('should notice a response that does not match the document', () => {
+    expect(
+      responseErrors({ method: 'GET', path: '/hiits/abc', status: 200, body: { hiits_id: 7 } }),
+    ).toContain('GET /hiits/abc 200: body.hiits_id should be string but is integer');
+    expect(responseErrors({ method: 'GET', path: '/nowhere', status: 200, body: {} })).toEqual([
+      'GET /nowhere 200: the route is not documented',
+    ]);
+  });
+
+  // This runs last, after every other test in this file has made its requests
+  it('should match every JSON response the tests received', () => {
+    expect(responses.length).toBeGreaterThan(100);
+    expect(responses.flatMap(responseErrors)).toEqual([]);
+  });
+});
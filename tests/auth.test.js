@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import {
+  hashPassword,
+  verifyPassword,
+  hashToken,
+  parseCookies,
+  canView,
+  canModify,
+} from '../auth.js';
+
+// ============================================================
+// Account Unit Tests (auth.js)
+// ============================================================
+
+// ----------------------------------------------------------
+// hashPassword / verifyPassword – Salted password hashes
+// ----------------------------------------------------------
+describe('hashPassword', () => {
+  it('should never store the password itself', async () => {
+    const stored = await hashPassword('correct-horse');
+    expect(stored).not.toContain('correct-horse');
+    expect(stored).toMatch(/^[0-9a-f]{32}:[0-9a-f]{128}$/);
+  });
+
+  it('should salt each hash differently', async () => {
+    expect(await hashPassword('correct-horse')).not.toBe(await hashPassword('correct-horse'));
+  });
+
+  it('should only verify the right password', async () => {
+    const stored = await hashPassword('correct-horse');
+    expect(await verifyPassword('correct-horse', stored)).toBe(true);
+    expect(await verifyPassword('correct-horsE', stored)).toBe(false);
+  });
+});
+
+// ----------------------------------------------------------
+// hashToken / parseCookies – Session cookies
+// ----------------------------------------------------------
+describe('session cookies', () => {
+  it('should hash a token to 64 hex characters', () => {
+    expect(hashToken('abc')).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it('should read every cookie of a header', () => {
+    expect(parseCookies('seefit_session=abc123; theme=dark%20mode')).toEqual({
+      seefit_session: 'abc123',
+      theme: 'dark mode',
+    });
+  });
+
+  it('should keep a cookie value that cannot be decoded as it was sent', () => {
+    expect(parseCookies('other=%E0%A4%A; seefit_session=abc123')).toEqual({
+      other: '%E0%A4%A',
+      seefit_session: 'abc123',
+    });
+  });
+
+  it('should read no cookies from a missing header', () => {
+    expect(parseCookies()).toEqual({});
+  });
+});
+
+// ----------------------------------------------------------
+// canView / canModify – Ownership of hiits
+// ----------------------------------------------------------
+describe('hiit ownership', () => {
+  const alice = { user_id: 'alice-id', username: 'alice' };
+  const bob = { user_id: 'bob-id', username: 'bob' };
+  const defaultHiit = { type: 'default', owner_id: null };
+  const sharedHiit = { type: 'custom', owner_id: null };
+  const aliceHiit = { type: 'custom', owner_id: 'alice-id' };
+
+  it('should let everyone view but nobody modify a default hiit', () => {
+    expect(canView(defaultHiit, null)).toBe(true);
+    expect(canModify(defaultHiit, alice)).toBe(false);
+  });
+
+  it('should share custom hiits that have no owner', () => {
+    expect(canModify(sharedHiit, null)).toBe(true);
+    expect(canModify(sharedHiit, bob)).toBe(true);
+  });
+
+  it('should keep an owned hiit to its owner', () => {
+    expect(canModify(aliceHiit, alice)).toBe(true);
+    expect(canView(aliceHiit, bob)).toBe(false);
+    expect(canView(aliceHiit, null)).toBe(false);
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+import { generateHiit, seededRandom, parseRatio } from '../generator.js';
+
+// ============================================================
+// Workout Generator Unit Tests (generator.js)
+// ============================================================
+
+// A small library with a few movements for each muscle group
+const library = [
+  { library_id: 1, name: 'Squats', description: 'Squat', muscle_groups: ['legs'], equipment: [] },
+  { library_id: 2, name: 'Lunges', description: 'Lunge', muscle_groups: ['legs'], equipment: [] },
+  { library_id: 3, name: 'Crunches', description: 'Crunch', muscle_groups: ['core'], equipment: [] },
+  { library_id: 4, name: 'Planks', description: 'Plank', muscle_groups: ['core'], equipment: [] },
+  { library_id: 5, name: 'Push-ups', description: 'Push', muscle_groups: ['chest'], equipment: [] },
+  { library_id: 6, name: 'Box jumps', description: 'Jump', muscle_groups: ['legs'], equipment: ['box'] },
+];
+
+// ----------------------------------------------------------
+// seededRandom – Reproducible random numbers
+// ----------------------------------------------------------
+describe('seededRandom', () => {
+  it('should give the same numbers for the same seed', () => {
+    const first = seededRandom(42);
+    const second = seededRandom(42);
+    const numbers = [first(), first(), first()];
+    expect([second(), second(), second()]).toEqual(numbers);
+    expect(numbers.every((n) => n >= 0 && n < 1)).toBe(true);
+  });
+
+  it('should give different numbers for another seed', () => {
+    expect(seededRandom(1)()).not.toBe(seededRandom(2)());
+  });
+});
+
+// ----------------------------------------------------------
+// parseRatio – Work:rest ratios
+// ----------------------------------------------------------
+describe('parseRatio', () => {
+  it('should split a ratio into its work and rest', () => {
+    expect(parseRatio('3:2')).toEqual({ work: 3, rest: 2 });
+  });
+});
+
+// ----------------------------------------------------------
+// generateHiit – A HIIT made from library entries
+// ----------------------------------------------------------
+describe('generateHiit', () => {
+  it('should take the focus areas in turn', () => {
+    const { hiit } = generateHiit(library, {
+      duration: 600,
+      focus: ['legs', 'core'],
+      difficulty: 'beginner',
+      seed: 5,
+    });
+    const groups = hiit.blocks[0].exercises.map(
+      (exercise) => library.find((e) => e.library_id === exercise.library_id).muscle_groups[0],
+    );
+    expect(groups.filter((group) => group === 'legs').length).toBe(2);
+    expect(groups.filter((group) => group === 'core').length).toBe(2);
+    expect(groups[0]).not.toBe(groups[1]);
+  });
+
+  it('should leave out entries that need equipment that is not allowed', () => {
+    const without = generateHiit(library, { duration: 3600, difficulty: 'advanced', seed: 1 });
+    const ids = without.hiit.blocks[0].exercises.map((exercise) => exercise.library_id);
+    expect(ids).not.toContain(6);
+    const withBox = generateHiit(library, {
+      duration: 3600,
+      equipment: ['box'],
+      difficulty: 'advanced',
+      seed: 1,
+    });
+    expect(withBox.hiit.blocks[0].exercises.map((exercise) => exercise.library_id)).toContain(6);
+  });
+
+  it('should repeat the round to come close to the duration', () => {
+    const generated = generateHiit(library, {
+      duration: 1200,
+      ratio: '2:1',
+      difficulty: 'intermediate',
+      seed: 9,
+    });
+    const [block] = generated.hiit.blocks;
+    // 5 exercises fit (box jumps need a box), each 30 seconds of work and 15 of rest
+    expect(block.exercises.length).toBe(5);
+    expect(block.exercises[0]).toMatchObject({ exercise_duration: 30, rest_duration: 15 });
+    expect(block).toMatchObject({ rounds: 5, round_rest_duration: 45 });
+    expect(generated.total_duration).toBe(5 * 225 + 4 * 45);
+    expect(generated.hiit.name).toBe('22 Min Intermediate');
+  });
+
+  it('should use fewer exercises when one round would be too long', () => {
+    const generated = generateHiit(library, { duration: 90, seed: 2 });
+    expect(generated.hiit.blocks[0].exercises.length).toBe(2);
+    expect(generated.hiit.blocks[0].rounds).toBe(1);
+    expect(generated.total_duration).toBe(90);
+  });
+
+  it('should give null when nothing fits', () => {
+    expect(generateHiit(library, { duration: 600, focus: ['back'], seed: 1 })).toBeNull();
+  });
+});
@@ -1,4 +1,8 @@
 import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { openStorage } from '../storage.js';
 import * as hb from '../hiitboard.js';
 
 // ============================================================
@@ -55,6 +59,107 @@ describe('addHiit', () => {
   });
 });
 
+// ----------------------------------------------------------
+// 2b. createHiit – Insert a HIIT with its exercises atomically
+// ----------------------------------------------------------
+describe('createHiit', () => {
+  const atomicHiitId = 'db-test-uuid-atom-1111-222233334444';
+  const brokenHiitId = 'db-test-uuid-fail-1111-222233334444';
+
+  it('should return the created HIIT with its exercises in order', async () => {
+    const hiit = await hb.createHiit(
+      atomicHiitId,
+      'Atomic',
+      'Atomic insert',
+      'custom',
+      hb.singleBlock([
+        { name: 'First', description: 'One', exercise_duration: 10, rest_duration: 5 },
+        { name: 'Second', description: 'Two', exercise_duration: 20, rest_duration: 5 },
+      ]),
+    );
+    expect(hiit.hiits_id).toBe(atomicHiitId);
+    expect(hiit.exercises.map((e) => e.name)).toEqual(['First', 'Second']);
+    expect(hiit.exercises.map((e) => e.position)).toEqual([0, 1]);
+  });
+
+  it('should reorder the exercises by their IDs', async () => {
+    const before = await hb.listHiitExercises(atomicHiitId);
+    const order = before.map((e) => e.exercise_id).reverse();
+    const hiit = await hb.reorderExercises(atomicHiitId, order);
+    expect(hiit.exercises.map((e) => e.name)).toEqual(['Second', 'First']);
+    await hb.deleteHiit(atomicHiitId);
+  });
+
+  it('should keep the exercises of each block together, with the same totals in lists', async () => {
+    const hiit = await hb.createHiit(undefined, 'Blocks', 'Two blocks', 'custom', [
+      {
+        rounds: 3,
+        round_rest_duration: 60,
+        block_rest_duration: 90,
+        exercises: [
+          { name: 'First', description: 'One', exercise_duration: 20, rest_duration: 10 },
+          { name: 'Second', description: 'Two', exercise_duration: 20, rest_duration: 10 },
+        ],
+      },
+      {
+        exercises: [
+          { name: 'Third', description: 'Three', exercise_duration: 40, rest_duration: 20 },
+        ],
+      },
+    ]);
+    expect(hiit.blocks.map((block) => block.rounds)).toEqual([3, 1]);
+    expect(hiit.exercises.map((e) => e.block_id)).toEqual([
+      hiit.blocks[0].block_id,
+      hiit.blocks[0].block_id,
+      hiit.blocks[1].block_id,
+    ]);
+    expect(hiit.total_duration).toBe(30 * 2 * 3 + 60 * 2 + 90 + 60);
+    const [listed] = await hb.listHiits({ summary: true, q: 'Two blocks' });
+    expect(listed.total_duration).toBe(hiit.total_duration);
+    expect(listed.total_rest_duration).toBe(hiit.total_rest_duration);
+    const copy = await hb.cloneHiit(hiit.hiits_id);
+    expect(copy.blocks.map((block) => block.rounds)).toEqual([3, 1]);
+    await hb.purgeHiit(copy.hiits_id);
+    await hb.purgeHiit(hiit.hiits_id);
+  });
+
+  it('should run the warm-up first and the cool-down last, totalling each of them', async () => {
+    const exercise = (name) => ({ name, description: name, exercise_duration: 30, rest_duration: 10 });
+    const hiit = await hb.createHiit(undefined, 'Phases', 'With a warm-up', 'custom', [
+      { phase: 'cool_down', exercises: [exercise('Stretch')] },
+      { exercises: [exercise('Burpees')] },
+      { phase: 'warm_up', rounds: 2, round_rest_duration: 5, exercises: [exercise('March')] },
+    ]);
+    expect(hiit.blocks.map((block) => block.phase)).toEqual(['warm_up', 'main', 'cool_down']);
+    expect(hiit.exercises.map((e) => e.name)).toEqual(['March', 'Burpees', 'Stretch']);
+    expect(hiit.warm_up_duration).toBe(40 * 2 + 5);
+    expect(hiit.cool_down_duration).toBe(40);
+    expect(hiit.total_duration).toBe(85 + 40 + 40);
+    // Added exercises join the main workout rather than the cool-down
+    await hb.addExercise('Squats', 'Squats', 30, 10, hiit.hiits_id);
+    const changed = await hb.getHiit(hiit.hiits_id);
+    expect(changed.exercises.map((e) => e.name)).toEqual(['March', 'Burpees', 'Squats', 'Stretch']);
+    await hb.purgeHiit(hiit.hiits_id);
+  });
+
+  it('should leave nothing behind when an exercise fails to insert', async () => {
+    await expect(
+      hb.createHiit(
+        brokenHiitId,
+        'Broken',
+        'Broken insert',
+        'custom',
+        hb.singleBlock([
+          { name: 'First', description: 'One', exercise_duration: 10, rest_duration: 5 },
+          { name: 'Broken' },
+        ]),
+      ),
+    ).rejects.toThrow();
+    expect(await hb.findHiit(brokenHiitId)).toBeUndefined();
+    expect(await hb.listHiitExercises(brokenHiitId)).toEqual([]);
+  });
+});
+
 // ----------------------------------------------------------
 // 3. addExercise – Insert exercises
 // ----------------------------------------------------------
@@ -118,7 +223,41 @@ describe('listExercises', () => {
 });
 
 // ----------------------------------------------------------
-// 5. deleteHiit – Remove a HIIT
+// 5. updateHiit – Edit a HIIT and replace its exercises
+// ----------------------------------------------------------
+describe('updateHiit', () => {
+  it('should return the updated HIIT with its new exercises', async () => {
+    const result = await hb.updateHiit(
+      testHiitId,
+      'DB Edited HIIT',
+      'Testing direct DB update',
+      hb.singleBlock([
+        {
+          name: 'DB Replacement Exercise',
+          description: 'Replaces the original exercise',
+          exercise_duration: 40,
+          rest_duration: 20,
+        },
+      ]),
+    );
+    expect(result.name).toBe('DB Edited HIIT');
+    expect(result.exercises.length).toBe(1);
+    expect(result.exercises[0].name).toBe('DB Replacement Exercise');
+  });
+
+  it('should roll back when an exercise cannot be inserted', async () => {
+    await expect(
+      hb.updateHiit(testHiitId, 'Broken', 'Broken', hb.singleBlock([{ name: 'No durations' }])),
+    ).rejects.toThrow();
+    const hiit = await hb.findHiit(testHiitId);
+    const exercises = await hb.listHiitExercises(testHiitId);
+    expect(hiit.name).toBe('DB Edited HIIT');
+    expect(exercises.length).toBe(1);
+  });
+});
+
+// ----------------------------------------------------------
+// 6. deleteHiit – Remove a HIIT
 // ----------------------------------------------------------
 describe('deleteHiit', () => {
   it('should delete the test HIIT without error', async () => {
@@ -140,21 +279,349 @@ describe('deleteHiit', () => {
 });
 
 // ----------------------------------------------------------
-// 6. findHiit – Find a specific HIIT by ID
+// 6b. getHiit / summariseExercises – HIIT totals
+// ----------------------------------------------------------
+describe('summariseExercises', () => {
+  it('should return zero totals for no exercises', () => {
+    expect(hb.summariseExercises([])).toEqual({
+      exercise_count: 0,
+      total_work_duration: 0,
+      total_rest_duration: 0,
+      total_duration: 0,
+      warm_up_duration: 0,
+      cool_down_duration: 0,
+    });
+  });
+
+  it('should add up work and rest separately', () => {
+    const summary = hb.summariseExercises([
+      { exercise_duration: 20, rest_duration: 10 },
+      { exercise_duration: 30, rest_duration: 15 },
+    ]);
+    expect(summary.exercise_count).toBe(2);
+    expect(summary.total_work_duration).toBe(50);
+    expect(summary.total_rest_duration).toBe(25);
+    expect(summary.total_duration).toBe(75);
+  });
+
+  it('should count every round of a block and the rests between rounds and blocks', () => {
+    const blocks = [
+      { block_id: 1, rounds: 3, round_rest_duration: 60, block_rest_duration: 90 },
+      { block_id: 2, rounds: 2, round_rest_duration: 30, block_rest_duration: 120 },
+    ];
+    const summary = hb.summariseExercises(
+      [
+        { exercise_duration: 20, rest_duration: 10, block_id: 1 },
+        { exercise_duration: 40, rest_duration: 20, block_id: 2 },
+      ],
+      blocks,
+    );
+    expect(summary.exercise_count).toBe(2);
+    expect(summary.total_work_duration).toBe(20 * 3 + 40 * 2);
+    // The last block has no block after it to rest before
+    expect(summary.total_rest_duration).toBe(10 * 3 + 20 * 2 + 60 * 2 + 90 + 30);
+    expect(summary.total_duration).toBe(450);
+  });
+});
+
+describe('getHiit', () => {
+  it('should return a default HIIT with its exercises and totals', async () => {
+    const hiit = await hb.getHiit('6bddceaa-8c75-4946-84df-38a4f2abbe79');
+    expect(hiit.name).toBe('Tabata Torch');
+    expect(hiit.exercises.length).toBe(4);
+    // Four exercises of 20 seconds work and 10 seconds rest, done for two rounds
+    expect(hiit.blocks).toEqual([
+      expect.objectContaining({ rounds: 2, round_rest_duration: 0, block_rest_duration: 0 }),
+    ]);
+    expect(hiit.total_duration).toBe(240);
+  });
+
+  it('should return undefined for an unknown ID', async () => {
+    expect(await hb.getHiit('non-existent-id')).toBeUndefined();
+  });
+});
+
+// ----------------------------------------------------------
+// 6b. Trash – Soft-deleted HIITs
+// ----------------------------------------------------------
+describe('trash', () => {
+  const trashHiitId = 'db-test-uuid-trash-1111-222233334444';
+  const exercise = { name: 'Trash Squats', description: 'Sit', exercise_duration: 30, rest_duration: 10 };
+
+  it('should move a deleted HIIT to the trash with its exercises', async () => {
+    await hb.createHiit(trashHiitId, 'Trash Test', 'Bin it', 'custom', hb.singleBlock([exercise]));
+    await hb.deleteHiit(trashHiitId);
+    expect(await hb.findHiit(trashHiitId)).toBeUndefined();
+    expect(await hb.findTrashedHiit(trashHiitId)).toBeDefined();
+    const restored = await hb.restoreHiit(trashHiitId);
+    expect(restored.exercises.map((e) => e.name)).toEqual(['Trash Squats']);
+  });
+
+  it('should empty the trash after the retention period, exercises and all', async () => {
+    const longAgo = new Date(Date.now() - (hb.trashRetentionDays + 1) * 24 * 60 * 60 * 1000);
+    await hb.deleteHiit(trashHiitId, longAgo);
+    await hb.emptyExpiredTrash();
+    expect(await hb.findTrashedHiit(trashHiitId)).toBeUndefined();
+    expect(await hb.listHiitExercises(trashHiitId)).toEqual([]);
+  });
+
+  it('should not find a HIIT kept in the trash past the retention period', async () => {
+    const expiredHiitId = 'db-test-uuid-trash-5555-666677778888';
+    const longAgo = new Date(Date.now() - (hb.trashRetentionDays + 1) * 24 * 60 * 60 * 1000);
+    await hb.createHiit(expiredHiitId, 'Expired Test', 'Too old', 'custom', hb.singleBlock([exercise]));
+    await hb.deleteHiit(expiredHiitId, longAgo);
+    expect(await hb.findTrashedHiit(expiredHiitId)).toBeUndefined();
+  });
+});
+
+// ----------------------------------------------------------
+// 7. findHiit – Find a specific HIIT by ID
 // ----------------------------------------------------------
-// NOTE: findHiit has a bug — it queries "WHERE id = ?" but the column
-// is actually "hiits_id". These tests document the current (broken) behaviour.
 describe('findHiit', () => {
   it('should be a function', () => {
     expect(typeof hb.findHiit).toBe('function');
   });
 
-  it('returns undefined due to wrong column name in query (known bug)', async () => {
-    // This should find 'HIIT Quick Blast' but doesn't because the SQL
-    // references a non-existent "id" column instead of "hiits_id".
-    // Once fixed, this test should be updated to expect a result.
-    await expect(
-      hb.findHiit('5d51f171-afbf-4885-91e3-83f0cc72499d'),
-    ).rejects.toThrow();
+  it('should find a default HIIT by its hiits_id', async () => {
+    const hiit = await hb.findHiit('5d51f171-afbf-4885-91e3-83f0cc72499d');
+    expect(hiit).toBeDefined();
+    expect(hiit.name).toBe('HIIT Quick Blast');
+  });
+
+  it('should return undefined for an unknown ID', async () => {
+    await expect(hb.findHiit('non-existent-id')).resolves.toBeUndefined();
+  });
+});
+
+// ----------------------------------------------------------
+// 7b. cloneHiit – Copy a HIIT into a new custom HIIT
+// ----------------------------------------------------------
+describe('cloneHiit', () => {
+  it('should name the copy after the original', () => {
+    expect(hb.copyName('Tabata Torch')).toBe('Tabata Torch (copy)');
+  });
+
+  it('should shorten a long name so the copy still fits in 20 characters', () => {
+    const name = hb.copyName('Full Body Burner 20');
+    expect(name).toBe('Full Body Bur (copy)');
+    expect(name.length).toBeLessThanOrEqual(20);
+  });
+
+  it('should copy a default HIIT and its exercises into a new custom HIIT', async () => {
+    const original = await hb.getHiit('6bddceaa-8c75-4946-84df-38a4f2abbe79');
+    const copy = await hb.cloneHiit(original.hiits_id);
+    expect(copy.hiits_id).not.toBe(original.hiits_id);
+    expect(copy.type).toBe('custom');
+    expect(copy.description).toBe(original.description);
+    expect(copy.exercises.map((e) => e.name)).toEqual(original.exercises.map((e) => e.name));
+    expect(copy.total_duration).toBe(original.total_duration);
+    // The copy has exercises of its own, so editing it leaves the original alone
+    const copyIds = copy.exercises.map((e) => e.exercise_id);
+    expect(original.exercises.some((e) => copyIds.includes(e.exercise_id))).toBe(false);
+    await hb.deleteHiit(copy.hiits_id);
+  });
+
+  it('should return undefined for an unknown ID', async () => {
+    expect(await hb.cloneHiit('non-existent-id')).toBeUndefined();
+  });
+});
+
+// ----------------------------------------------------------
+// 7c. Exercise library – Movements shared between HIITs
+// ----------------------------------------------------------
+describe('exercise library', () => {
+  it('should point every default Burpees slot at the same library entry', async () => {
+    const exercises = await hb.listExercises();
+    const burpees = exercises.filter((e) => e.name === 'Burpees');
+    expect(burpees.length).toBe(4);
+    expect(new Set(burpees.map((e) => e.library_id)).size).toBe(1);
+  });
+
+  it('should reuse a matching library entry for an exercise typed in by hand', async () => {
+    const [squats] = await hb.listLibrary({ muscleGroup: 'legs' }).then((entries) =>
+      entries.filter((entry) => entry.name === 'Squats'),
+    );
+    const hiit = await hb.createHiit(
+      undefined,
+      'Typed Squats',
+      'By hand',
+      'custom',
+      hb.singleBlock([
+        { name: 'Squats', description: squats.description, exercise_duration: 30, rest_duration: 10 },
+      ]),
+    );
+    expect(hiit.exercises[0].library_id).toBe(squats.library_id);
+    await hb.deleteHiit(hiit.hiits_id);
+  });
+
+  it('should add a new movement typed in by hand to the library', async () => {
+    const hiit = await hb.createHiit(
+      undefined,
+      'Owned Move',
+      'Mine',
+      'custom',
+      hb.singleBlock([
+        { name: 'Secret move', description: 'Mine', exercise_duration: 30, rest_duration: 10 },
+      ]),
+    );
+    const entry = await hb.findLibraryEntry(hiit.exercises[0].library_id);
+    expect(entry.name).toBe('Secret move');
+    expect(entry.owner_id).toBeNull();
+    await hb.deleteHiit(hiit.hiits_id);
+  });
+});
+
+// ----------------------------------------------------------
+// 7b. Data versions – What ETags are made from
+// ----------------------------------------------------------
+describe('data versions', () => {
+  const versionHiitId = 'db-test-vers-0000-1111-222233334444';
+
+  it('should raise the version of a hiit when it or its exercises are written', async () => {
+    const created = await hb.createHiit(versionHiitId, 'Versioned', 'Counts its writes', 'custom');
+    await hb.addExercise('Versioned move', 'One', 20, 10, versionHiitId);
+    const withExercise = await hb.findHiit(versionHiitId);
+    expect(withExercise.version).toBeGreaterThan(created.version);
+    await hb.updateHiit(versionHiitId, 'Renamed', 'Counts its writes', []);
+    expect((await hb.findHiit(versionHiitId)).version).toBeGreaterThan(withExercise.version);
+  });
+
+  it('should raise the data version when a session is recorded', async () => {
+    const before = await hb.getDataVersion();
+    await hb.addSession({
+      hiit_name: 'Versioned',
+      started_at: '2026-03-02T10:00:00.000Z',
+      ended_at: '2026-03-02T10:05:00.000Z',
+      planned_duration: 300,
+      actual_duration: 300,
+      completed_exercises: 1,
+    });
+    expect((await hb.getDataVersion()).version).toBeGreaterThan(before.version);
+    await hb.purgeHiit(versionHiitId);
+  });
+});
+
+// ----------------------------------------------------------
+// 8. Sessions – Performed workout history
+// ----------------------------------------------------------
+describe('sessions', () => {
+  const session = {
+    hiit_name: 'DB Test Session',
+    started_at: '2026-03-01T10:00:00.000Z',
+    ended_at: '2026-03-01T10:05:00.000Z',
+    planned_duration: 300,
+    actual_duration: 300,
+    completed_exercises: 4,
+  };
+
+  it('should record a session and default the skipped count to 0', async () => {
+    const saved = await hb.addSession(session);
+    expect(saved.session_id).toBeGreaterThan(0);
+    expect(saved.hiit_id).toBeNull();
+    expect(saved.skipped_exercises).toBe(0);
+  });
+
+  it('should list sessions oldest first', async () => {
+    await hb.addSession({
+      ...session,
+      started_at: '2020-01-01T10:00:00.000Z',
+      ended_at: '2020-01-01T10:05:00.000Z',
+    });
+    const sessions = await hb.listSessions();
+    const startTimes = sessions.map((s) => s.started_at);
+    expect(startTimes).toEqual([...startTimes].sort());
+  });
+
+  it('should record a batch of sessions together', async () => {
+    const saved = await hb.addSessions([session, session]);
+    expect(saved.length).toBe(2);
+    expect(await hb.addSessions([])).toEqual([]);
+  });
+
+  it('should keep a session recorded while another write is rolled back', async () => {
+    const broken = hb.createHiit(
+      'db-test-uuid-rollback-7777-888899990000',
+      'Rolled Back',
+      'Broken insert',
+      'custom',
+      hb.singleBlock([
+        ...Array.from({ length: 20 }, (_, index) => ({
+          name: `Fine ${index}`,
+          description: 'Inserted before the broken one',
+          exercise_duration: 10,
+          rest_duration: 5,
+        })),
+        { name: 'Broken' },
+      ]),
+    );
+    // Let the transaction begin before the session is written
+    await new Promise((resolve) => setImmediate(resolve));
+    const saved = hb.addSession({ ...session, hiit_name: 'Kept Session' });
+    await expect(broken).rejects.toThrow();
+    const { session_id: sessionId } = await saved;
+    expect(await hb.findSession(sessionId)).toMatchObject({ hiit_name: 'Kept Session' });
+  });
+});
+
+// ----------------------------------------------------------
+// 9. seedDefaultHiits – Putting the default hiits back
+// ----------------------------------------------------------
+describe('seedDefaultHiits', () => {
+  const seedHiitId = 'db-test-seed-0000-1111-222233334444';
+  const defaultHiitId = '5d51f171-afbf-4885-91e3-83f0cc72499d';
+
+  it('should put back a changed default hiit and leave custom hiits alone', async () => {
+    await hb.createHiit(
+      seedHiitId,
+      'Seed Test',
+      'Kept by seeding',
+      'custom',
+      hb.singleBlock([
+        { name: 'Seed Move', description: 'Stays', exercise_duration: 30, rest_duration: 10 },
+      ]),
+    );
+    const original = await hb.getHiit(defaultHiitId);
+    await hb.updateHiit(
+      defaultHiitId,
+      'Changed',
+      'Changed by hand',
+      hb.singleBlock(original.exercises.slice(1)),
+    );
+    expect(await hb.seedDefaultHiits()).toBeGreaterThanOrEqual(8);
+    const seeded = await hb.getHiit(defaultHiitId);
+    expect(seeded.name).toBe(original.name);
+    expect(seeded.exercises.map((exercise) => exercise.name)).toEqual(
+      original.exercises.map((exercise) => exercise.name),
+    );
+    expect((await hb.getHiit(seedHiitId)).exercises.length).toBe(1);
+    await hb.purgeHiit(seedHiitId);
+  });
+});
+
+// ----------------------------------------------------------
+// 10. Default hiit fixture – Upserted when the database is opened
+// ----------------------------------------------------------
+describe('default hiit fixture', () => {
+  const defaultHiitId = '5d51f171-afbf-4885-91e3-83f0cc72499d';
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'seefit-'));
+  const options = { backend: 'sqlite', path: path.join(dir, 'seefit.sqlite') };
+
+  it('should only write the defaults again when the fixture version is newer', async () => {
+    hb.useStorage(options);
+    const original = await hb.getHiit(defaultHiitId);
+    await hb.updateHiit(defaultHiitId, 'Changed', 'Changed by hand', hb.blocksWithExercises(original));
+    await hb.closeStorage();
+
+    hb.useStorage(options);
+    expect((await hb.getHiit(defaultHiitId)).name).toBe('Changed');
+    await hb.closeStorage();
+
+    const db = await openStorage(options);
+    await db.run("UPDATE Seeds SET version = 0 WHERE name = 'default-hiits'");
+    await db.close();
+    hb.useStorage(options);
+    expect((await hb.getHiit(defaultHiitId)).name).toBe(original.name);
+    await hb.closeStorage();
+    fs.rmSync(dir, { recursive: true });
   });
 });
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { createLogger, errorFields } from '../logger.js';
+
+// ============================================================
+// Logging Unit Tests (logger.js)
+// ============================================================
+
+// Function to create a logger that keeps its entries in an array instead of writing them out
+function recordingLogger(level) {
+  const entries = [];
+  const logger = createLogger({ level, write: (line) => entries.push(JSON.parse(line)) });
+  return { logger, entries };
+}
+
+// ----------------------------------------------------------
+// createLogger – Structured logs with levels
+// ----------------------------------------------------------
+describe('createLogger', () => {
+  it('should write each entry as JSON with its time, level and fields', () => {
+    const { logger, entries } = recordingLogger('info');
+    logger.info('request', { request_id: 'abc', status: 200 });
+    expect(entries).toEqual([
+      { time: expect.any(String), level: 'info', message: 'request', request_id: 'abc', status: 200 },
+    ]);
+  });
+
+  it('should skip entries less severe than its level', () => {
+    const { logger, entries } = recordingLogger('warn');
+    logger.debug('noise');
+    logger.info('noise');
+    logger.warn('careful');
+    logger.error('broken');
+    expect(entries.map((entry) => entry.level)).toEqual(['warn', 'error']);
+  });
+
+  it('should write nothing when silent', () => {
+    const { logger, entries } = recordingLogger('silent');
+    logger.error('broken');
+    expect(entries).toEqual([]);
+  });
+
+  it('should reject an unknown level', () => {
+    expect(() => createLogger({ level: 'loud' })).toThrow('Unknown log level "loud"');
+  });
+});
+
+// ----------------------------------------------------------
+// errorFields – Errors in JSON logs
+// ----------------------------------------------------------
+describe('errorFields', () => {
+  it('should keep the message and stack that JSON.stringify would drop', () => {
+    const fields = errorFields(Object.assign(new Error('disk full'), { code: 'SQLITE_FULL' }));
+    expect(fields).toMatchObject({ name: 'Error', message: 'disk full', code: 'SQLITE_FULL' });
+    expect(fields.stack).toContain('disk full');
+  });
+});
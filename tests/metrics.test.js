@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { observeRequest, renderMetrics } from '../metrics.js';
+
+// ============================================================
+// Metrics Unit Tests (metrics.js)
+// ============================================================
+
+// ----------------------------------------------------------
+// observeRequest / renderMetrics – Prometheus text format
+// ----------------------------------------------------------
+describe('renderMetrics', () => {
+  it('should count requests by method, route and status', async () => {
+    observeRequest({ method: 'GET', route: '/hiits', status: 200, seconds: 0.02 });
+    observeRequest({ method: 'GET', route: '/hiits', status: 200, seconds: 0.3 });
+    observeRequest({ method: 'GET', route: '/hiits', status: 400, seconds: 0.001 });
+    const text = await renderMetrics();
+    expect(text).toContain('seefit_http_requests_total{method="GET",route="/hiits",status="200"} 2');
+    expect(text).toContain('seefit_http_requests_total{method="GET",route="/hiits",status="400"} 1');
+  });
+
+  it('should add each latency to every bucket it fits in', async () => {
+    observeRequest({ method: 'PUT', route: '/hiits/:id', status: 200, seconds: 0.07 });
+    const text = await renderMetrics();
+    expect(text).toContain('seefit_http_request_duration_seconds_bucket{method="PUT",route="/hiits/:id",le="0.05"} 0');
+    expect(text).toContain('seefit_http_request_duration_seconds_bucket{method="PUT",route="/hiits/:id",le="0.1"} 1');
+    expect(text).toContain('seefit_http_request_duration_seconds_bucket{method="PUT",route="/hiits/:id",le="+Inf"} 1');
+    expect(text).toContain('seefit_http_request_duration_seconds_count{method="PUT",route="/hiits/:id"} 1');
+  });
+
+  it('should escape quotes in label values', async () => {
+    observeRequest({ method: 'GET', route: 'say "hi"', status: 404, seconds: 0.001 });
+    expect(await renderMetrics()).toContain('route="say \\"hi\\""');
+  });
+
+  it('should gauge the hiits by type and the sessions', async () => {
+    const text = await renderMetrics();
+    expect(text).toContain('# TYPE seefit_hiits gauge');
+    expect(text).toContain('seefit_hiits{type="default"} 8');
+    expect(text).toMatch(/^seefit_sessions \d+$/m);
+  });
+});
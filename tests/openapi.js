@@ -0,0 +1,109 @@
+import fs from 'fs';
+
+// Helpers for checking API responses against openapi.json, so the docs cannot drift from the code
+
+export const spec = JSON.parse(fs.readFileSync(new URL('../openapi.json', import.meta.url), 'utf8'));
+
+// Function to follow a $ref such as #/components/schemas/Hiit
+function resolve(schema) {
+  if (!schema.$ref) {
+    return schema;
+  }
+  return schema.$ref
+    .slice(2)
+    .split('/')
+    .reduce((node, key) => node[key], spec);
+}
+
+// Function to name the JSON type of a value the way OpenAPI does
+function typeOf(value) {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+// Function to list every way a value breaks a schema, using the parts of OpenAPI 3.0 that openapi.json uses
+export function schemaErrors(schemaOrRef, value, where = 'body') {
+  const schema = resolve(schemaOrRef);
+  if (schema.allOf) {
+    return schema.allOf.flatMap((part) => schemaErrors(part, value, where));
+  }
+  if (value === null) {
+    return schema.nullable ? [] : [`${where} should not be null`];
+  }
+  const type = typeOf(value);
+  if (schema.type && schema.type !== type && !(schema.type === 'number' && type === 'integer')) {
+    return [`${where} should be ${schema.type} but is ${type}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${where} should be one of ${schema.enum.join(', ')} but is ${value}`];
+  }
+  if (type === 'array' && schema.items) {
+    return value.flatMap((item, index) => schemaErrors(schema.items, item, `${where}[${index}]`));
+  }
+  if (type !== 'object') {
+    return [];
+  }
+  const missing = (schema.required ?? [])
+    .filter((name) => !(name in value))
+    .map((name) => `${where}.${name} is missing`);
+  const wrong = Object.entries(schema.properties ?? {})
+    .filter(([name]) => value[name] !== undefined)
+    .flatMap(([name, property]) => schemaErrors(property, value[name], `${where}.${name}`));
+  return [...missing, ...wrong];
+}
+
+// Function to find the documented path, e.g. /hiits/{id}, that a request path belongs to
+export function documentedPath(path) {
+  // A fixed path such as /hiits/import wins over a template such as /hiits/{id}
+  if (spec.paths[path]) {
+    return path;
+  }
+  return Object.keys(spec.paths).find((template) => {
+    const pattern = template.replace(/\{[^}]+\}/g, '[^/]+');
+    return new RegExp(`^${pattern}$`).test(path);
+  });
+}
+
+// Function to list every way a JSON response breaks what openapi.json says about it
+export function responseErrors({ method, path, status, body }) {
+  const label = `${method.toUpperCase()} ${path} ${status}`;
+  const template = documentedPath(path);
+  const operation = template && spec.paths[template][method.toLowerCase()];
+  // Requests that match no route are answered with a 404 and the usual error body
+  if (!operation && status === 404) {
+    return schemaErrors(spec.components.schemas.Error, body).map((error) => `${label}: ${error}`);
+  }
+  if (!operation) {
+    return [`${label}: the route is not documented`];
+  }
+  const response = operation.responses[status] && resolve(operation.responses[status]);
+  if (!response) {
+    return [`${label}: the status is not documented`];
+  }
+  const schema = response.content?.['application/json']?.schema;
+  if (!schema) {
+    return [`${label}: no JSON body is documented`];
+  }
+  return schemaErrors(schema, body).map((error) => `${label}: ${error}`);
+}
+
+// Function to keep every JSON response the app sends, so a test can check them all afterwards
+export function recordResponses(app) {
+  const responses = [];
+  const json = app.response.json;
+  app.response.json = function (body) {
+    responses.push({
+      method: this.req.method,
+      path: this.req.path,
+      status: this.statusCode,
+      body: JSON.parse(JSON.stringify(body ?? null)),
+    });
+    return json.call(this, body);
+  };
+  return responses;
+}
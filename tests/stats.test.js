@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { calculateStreaks } from '../stats.js';
+
+// ============================================================
+// Statistics Unit Tests (stats.js)
+// ============================================================
+
+// ----------------------------------------------------------
+// calculateStreaks – Consecutive training days
+// ----------------------------------------------------------
+describe('calculateStreaks', () => {
+  it('should return no streaks without any training days', () => {
+    expect(calculateStreaks([], '2026-03-10')).toEqual({ current: 0, longest: 0 });
+  });
+
+  it('should count a single day as a streak of one', () => {
+    expect(calculateStreaks(['2026-03-10'], '2026-03-10')).toEqual({
+      current: 1,
+      longest: 1,
+    });
+  });
+
+  it('should find the longest run of consecutive days', () => {
+    const days = ['2026-03-01', '2026-03-02', '2026-03-03', '2026-03-05', '2026-03-06'];
+    expect(calculateStreaks(days, '2026-03-06').longest).toBe(3);
+  });
+
+  it('should keep the current streak going when the last session was yesterday', () => {
+    const days = ['2026-03-08', '2026-03-09'];
+    expect(calculateStreaks(days, '2026-03-10').current).toBe(2);
+  });
+
+  it('should reset the current streak after a missed day', () => {
+    const days = ['2026-03-07', '2026-03-08'];
+    expect(calculateStreaks(days, '2026-03-10')).toEqual({ current: 0, longest: 2 });
+  });
+
+  it('should count streaks across a month boundary', () => {
+    const days = ['2026-02-27', '2026-02-28', '2026-03-01'];
+    expect(calculateStreaks(days, '2026-03-01').current).toBe(3);
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  openStorage,
+  listMigrations,
+  pendingMigrations,
+  resetStorage,
+  backupStorage,
+  restoreStorage,
+  storageFile,
+} from '../storage.js';
+
+// ============================================================
+// Storage Backend Unit Tests (storage.js)
+// ============================================================
+
+// ----------------------------------------------------------
+// openStorage – Picking a backend
+// ----------------------------------------------------------
+describe('openStorage', () => {
+  it('should open an in-memory database with the default hiits in place', async () => {
+    const db = await openStorage({ backend: 'memory' });
+    const { count } = await db.get("SELECT COUNT(*) AS count FROM Hiits WHERE type = 'default'");
+    expect(count).toBeGreaterThanOrEqual(8);
+    await db.close();
+  });
+
+  it('should start every in-memory database fresh', async () => {
+    const first = await openStorage({ backend: 'memory' });
+    await first.run("INSERT INTO Hiits (hiits_id, name, description, type) VALUES ('memory-only', 'Memory only', 'Gone after close', 'custom')");
+    const second = await openStorage({ backend: 'memory' });
+    expect(await second.get("SELECT * FROM Hiits WHERE hiits_id = 'memory-only'")).toBeUndefined();
+    await first.close();
+    await second.close();
+  });
+
+  it('should keep a sqlite database at the configured path', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'seefit-'));
+    const file = path.join(dir, 'test.sqlite');
+    const db = await openStorage({ backend: 'sqlite', path: file });
+    await db.close();
+    expect(fs.existsSync(file)).toBe(true);
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it('should list the migrations a database is missing', async () => {
+    const db = await openStorage({ backend: 'memory' });
+    expect(await pendingMigrations(db)).toEqual([]);
+    await db.run("DELETE FROM migrations WHERE name = 'trash'");
+    expect(await pendingMigrations(db)).toEqual(['006-trash.sql']);
+    await db.close();
+  });
+
+  it('should reject an unknown backend', async () => {
+    await expect(openStorage({ backend: 'floppy' })).rejects.toThrow('Unknown storage backend "floppy"');
+  });
+});
+
+// ----------------------------------------------------------
+// resetStorage / backupStorage / restoreStorage – The seefit db commands
+// ----------------------------------------------------------
+describe('managing a sqlite database', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'seefit-'));
+  const options = { backend: 'sqlite', path: path.join(dir, 'seefit.sqlite') };
+  const backupFile = path.join(dir, 'backups', 'seefit-backup.sqlite');
+
+  // Function to count the custom hiits in the managed database
+  async function customHiitCount() {
+    const db = await openStorage(options);
+    const { count } = await db.get("SELECT COUNT(*) AS count FROM Hiits WHERE type = 'custom'");
+    await db.close();
+    return count;
+  }
+
+  it('should back up to a new file and refuse to overwrite one', async () => {
+    const db = await openStorage(options);
+    await db.run("INSERT INTO Hiits (hiits_id, name, description, type) VALUES ('backed-up', 'Backed up', 'Kept in the backup', 'custom')");
+    await db.close();
+    await backupStorage(options, backupFile);
+    expect(fs.existsSync(backupFile)).toBe(true);
+    await expect(backupStorage(options, backupFile)).rejects.toThrow('already exists');
+  });
+
+  it('should reset to only the default hiits', async () => {
+    await resetStorage(options);
+    expect(await customHiitCount()).toBe(0);
+    const db = await openStorage(options);
+    expect((await listMigrations(db)).length).toBeGreaterThanOrEqual(6);
+    await db.close();
+  });
+
+  it('should restore a backup', async () => {
+    await restoreStorage(options, backupFile);
+    expect(await customHiitCount()).toBe(1);
+  });
+
+  it('should refuse to restore a file that is not a backup', async () => {
+    const notBackup = path.join(dir, 'notes.txt');
+    fs.writeFileSync(notBackup, 'not a database');
+    await expect(restoreStorage(options, notBackup)).rejects.toThrow('is not a SeeFit database backup');
+    expect(await customHiitCount()).toBe(1);
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it('should refuse to manage the memory backend', async () => {
+    await expect(resetStorage({ backend: 'memory' })).rejects.toThrow('keeps no database file');
+    expect(() => storageFile({ backend: 'memory' })).toThrow('keeps no database file');
+  });
+});
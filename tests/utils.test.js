@@ -306,6 +306,74 @@ describe('Progress tracking data structure', () => {
   });
 });
 
+// ----------------------------------------------------------
+// legacySessions – localStorage history migration
+// ----------------------------------------------------------
+// Copied from client/scripts/record.js
+function convertMtoS(duration) {
+  const [minutes, seconds] = duration.split(':').map(Number);
+  return minutes * 60 + seconds;
+}
+
+function legacySessions(storedData) {
+  const entries = storedData.completedHiits ?? [];
+  if (entries.length === 0) {
+    return [];
+  }
+  const migratedAt = new Date().toISOString();
+  const exercisesEach = Math.floor(storedData.completedExerciseCount / entries.length);
+  const extraExercises = storedData.completedExerciseCount % entries.length;
+  return entries.map((entry, index) => {
+    const duration = convertMtoS(entry.duration);
+    return {
+      hiit_name: entry.name.slice(0, 20),
+      started_at: migratedAt,
+      ended_at: migratedAt,
+      planned_duration: duration,
+      actual_duration: duration,
+      completed_exercises: exercisesEach + (index < extraExercises ? 1 : 0),
+      skipped_exercises: 0,
+    };
+  });
+}
+
+describe('legacySessions', () => {
+  const storedData = {
+    totalhiits: 2,
+    completedExerciseCount: 9,
+    completedTime: 975,
+    completedHiits: [
+      { name: 'HIIT Quick Blast', duration: '07:45' },
+      { name: 'Tabata Torch', duration: '08:30' },
+    ],
+  };
+
+  it('should create one session per completed HIIT', () => {
+    const sessions = legacySessions(storedData);
+    expect(sessions.map((s) => s.hiit_name)).toEqual([
+      'HIIT Quick Blast',
+      'Tabata Torch',
+    ]);
+  });
+
+  it('should convert the stored durations back to seconds', () => {
+    const sessions = legacySessions(storedData);
+    expect(sessions.map((s) => s.actual_duration)).toEqual([465, 510]);
+  });
+
+  it('should keep the total time and exercise count of the old dashboard', () => {
+    const sessions = legacySessions(storedData);
+    const time = sessions.reduce((total, s) => total + s.actual_duration, 0);
+    const exercises = sessions.reduce((total, s) => total + s.completed_exercises, 0);
+    expect(time).toBe(storedData.completedTime);
+    expect(exercises).toBe(storedData.completedExerciseCount);
+  });
+
+  it('should return no sessions for an empty history', () => {
+    expect(legacySessions({ completedExerciseCount: 0, completedHiits: [] })).toEqual([]);
+  });
+});
+
 // ----------------------------------------------------------
 // Dashboard display formatting
 // ----------------------------------------------------------
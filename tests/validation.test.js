@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest';
+import { hiitErrors, exerciseErrors } from '../validation.js';
+
+// ============================================================
+// Request Validation Unit Tests (validation.js)
+// ============================================================
+
+const validExercise = {
+  name: 'Pushups',
+  description: 'Do pushups',
+  exercise_duration: 30,
+  rest_duration: 15,
+};
+
+// ----------------------------------------------------------
+// 1. exerciseErrors – Single exercise checks
+// ----------------------------------------------------------
+describe('exerciseErrors', () => {
+  it('should accept a complete exercise', () => {
+    expect(exerciseErrors(validExercise)).toEqual([]);
+  });
+
+  it('should report every missing field', () => {
+    const fields = exerciseErrors({}).map((e) => e.field);
+    expect(fields).toEqual([
+      'name',
+      'description',
+      'exercise_duration',
+      'rest_duration',
+    ]);
+  });
+
+  it('should take the name and description of a library exercise from the library', () => {
+    const errors = exerciseErrors({ library_id: 3, exercise_duration: 30, rest_duration: 15 });
+    expect(errors).toEqual([]);
+  });
+
+  it('should reject a library_id that is not an ID', () => {
+    const fields = exerciseErrors({ ...validExercise, library_id: 'burpees' }).map((e) => e.field);
+    expect(fields).toEqual(['library_id']);
+  });
+
+  it('should reject names longer than the VARCHAR(40) column', () => {
+    const errors = exerciseErrors({ ...validExercise, name: 'x'.repeat(41) });
+    expect(errors).toEqual([
+      { field: 'name', message: 'name must be at most 40 characters' },
+    ]);
+  });
+
+  it('should reject durations that are not positive integers', () => {
+    const fields = exerciseErrors({
+      ...validExercise,
+      exercise_duration: 0,
+      rest_duration: 2.5,
+    }).map((e) => e.field);
+    expect(fields).toEqual(['exercise_duration', 'rest_duration']);
+  });
+
+  it('should reject numeric strings as durations', () => {
+    const errors = exerciseErrors({ ...validExercise, exercise_duration: '30' });
+    expect(errors.map((e) => e.field)).toEqual(['exercise_duration']);
+  });
+
+  it('should prefix fields with the given path', () => {
+    const errors = exerciseErrors({ ...validExercise, name: '' }, 'exercises[2].');
+    expect(errors[0].field).toBe('exercises[2].name');
+  });
+});
+
+// ----------------------------------------------------------
+// 2. hiitErrors – HIIT and nested exercise checks
+// ----------------------------------------------------------
+describe('hiitErrors', () => {
+  it('should accept a complete custom HIIT', () => {
+    expect(
+      hiitErrors({
+        name: 'My HIIT',
+        description: 'A workout',
+        type: 'custom',
+        exercises: [validExercise],
+      }),
+    ).toEqual([]);
+  });
+
+  it('should require a name and description for a new HIIT', () => {
+    const fields = hiitErrors({}).map((e) => e.field);
+    expect(fields).toEqual(['name', 'description']);
+  });
+
+  it('should allow missing fields for a partial update', () => {
+    expect(hiitErrors({}, { partial: true })).toEqual([]);
+  });
+
+  it('should still check fields that are given in a partial update', () => {
+    const errors = hiitErrors({ name: 'x'.repeat(21) }, { partial: true });
+    expect(errors).toEqual([
+      { field: 'name', message: 'name must be at most 20 characters' },
+    ]);
+  });
+
+  it('should refuse to create default HIITs', () => {
+    const errors = hiitErrors({ name: 'A', description: 'B', type: 'default' });
+    expect(errors.map((e) => e.field)).toEqual(['type']);
+  });
+
+  it('should point nested exercise errors at their index', () => {
+    const errors = hiitErrors({
+      name: 'My HIIT',
+      description: 'A workout',
+      exercises: [validExercise, { ...validExercise, rest_duration: -5 }],
+    });
+    expect(errors.map((e) => e.field)).toEqual(['exercises[1].rest_duration']);
+  });
+
+  it('should reject exercises that are not an array', () => {
+    const errors = hiitErrors({ name: 'A', description: 'B', exercises: {} });
+    expect(errors.map((e) => e.field)).toEqual(['exercises']);
+  });
+});
@@ -0,0 +1,732 @@
+import * as hb from './hiitboard.js';
+import { hiitFileFormat, hiitFileVersion } from './hiitfile.js';
+import { canView, canViewLibraryEntry } from './auth.js';
+import { difficultyNames } from './generator.js';
+
+// Length limits of the VARCHAR/CHAR columns in migrations-sqlite/001-initial.sql
+const limits = {
+  hiitId: 36,
+  hiitName: 20,
+  hiitType: 20,
+  exerciseName: 40,
+  username: 30,
+  libraryTag: 30,
+};
+
+// Hiit types that can be created or edited through the API
+const writableTypes = ['custom'];
+
+// Function to check a required (or optional) string field and its maximum length
+function checkString(errors, field, value, { maxLength, required = true } = {}) {
+  if (value === undefined || value === null) {
+    if (required) {
+      errors.push({ field, message: `${field} is required` });
+    }
+    return;
+  }
+  if (typeof value !== 'string') {
+    errors.push({ field, message: `${field} must be a string` });
+  } else if (value.trim() === '') {
+    errors.push({ field, message: `${field} must not be empty` });
+  } else if (maxLength && value.length > maxLength) {
+    errors.push({
+      field,
+      message: `${field} must be at most ${maxLength} characters`,
+    });
+  }
+}
+
+// Function to check that a duration is a positive whole number of seconds
+function checkDuration(errors, field, value, { required = true } = {}) {
+  if (value === undefined || value === null) {
+    if (required) {
+      errors.push({ field, message: `${field} is required` });
+    }
+    return;
+  }
+  if (!Number.isInteger(value) || value <= 0) {
+    errors.push({
+      field,
+      message: `${field} must be a positive whole number of seconds`,
+    });
+  }
+}
+
+// Function to check that a count or duration is a whole number that is not negative
+function checkCount(errors, field, value, { required = true } = {}) {
+  if (value === undefined || value === null) {
+    if (required) {
+      errors.push({ field, message: `${field} is required` });
+    }
+    return;
+  }
+  if (!Number.isInteger(value) || value < 0) {
+    errors.push({ field, message: `${field} must be a whole number of at least 0` });
+  }
+}
+
+// Function to check that a timestamp is an ISO 8601 date and time
+function checkTimestamp(errors, field, value) {
+  if (value === undefined || value === null) {
+    errors.push({ field, message: `${field} is required` });
+    return;
+  }
+  if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+    errors.push({ field, message: `${field} must be an ISO 8601 date and time` });
+  }
+}
+
+// Number of sides an exercise can be done on: once, or on each side in turn
+const exerciseSides = [1, 2];
+
+// Function to collect the field errors of a single exercise
+export function exerciseErrors(exercise, prefix = '') {
+  const errors = [];
+  if (typeof exercise !== 'object' || exercise === null) {
+    errors.push({ field: prefix || 'exercise', message: 'exercise must be an object' });
+    return errors;
+  }
+  // An exercise picked from the library takes its name and description from there
+  const fromLibrary = exercise.library_id !== undefined && exercise.library_id !== null;
+  if (fromLibrary && !(Number.isInteger(exercise.library_id) && exercise.library_id > 0)) {
+    errors.push({
+      field: `${prefix}library_id`,
+      message: `${prefix}library_id must be a library entry ID`,
+    });
+  }
+  checkString(errors, `${prefix}name`, exercise.name, {
+    maxLength: limits.exerciseName,
+    required: !fromLibrary,
+  });
+  checkString(errors, `${prefix}description`, exercise.description, {
+    required: !fromLibrary,
+  });
+  checkDuration(errors, `${prefix}exercise_duration`, exercise.exercise_duration);
+  checkDuration(errors, `${prefix}rest_duration`, exercise.rest_duration);
+  // A rep-based exercise still gives the time it is expected to take, for the totals
+  checkAtLeastOne(errors, `${prefix}reps`, exercise.reps);
+  checkChoice(errors, `${prefix}sides`, exercise.sides, exerciseSides);
+  return errors;
+}
+
+// Function to check that an optional number of rounds or reps is a whole number of at least 1
+function checkAtLeastOne(errors, field, value) {
+  if (value === undefined || value === null) {
+    return;
+  }
+  if (!Number.isInteger(value) || value < 1) {
+    errors.push({ field, message: `${field} must be a whole number of at least 1` });
+  }
+}
+
+// Function to collect the field errors of a block and the exercises done in each of its rounds
+export function blockErrors(block, prefix = '') {
+  const errors = [];
+  if (typeof block !== 'object' || block === null) {
+    errors.push({ field: prefix || 'block', message: 'block must be an object' });
+    return errors;
+  }
+  checkChoice(errors, `${prefix}phase`, block.phase, hb.phases);
+  checkAtLeastOne(errors, `${prefix}rounds`, block.rounds);
+  checkCount(errors, `${prefix}round_rest_duration`, block.round_rest_duration, {
+    required: false,
+  });
+  checkCount(errors, `${prefix}block_rest_duration`, block.block_rest_duration, {
+    required: false,
+  });
+  if (!Array.isArray(block.exercises) || block.exercises.length === 0) {
+    errors.push({
+      field: `${prefix}exercises`,
+      message: `${prefix}exercises must be an array with at least one exercise`,
+    });
+  } else {
+    block.exercises.forEach((exercise, index) => {
+      errors.push(...exerciseErrors(exercise, `${prefix}exercises[${index}].`));
+    });
+  }
+  return errors;
+}
+
+// Function to collect the field errors of a hiit and its nested blocks or exercises
+export function hiitErrors(hiit, { partial = false } = {}) {
+  const errors = [];
+  const required = !partial;
+  checkString(errors, 'hiit_id', hiit.hiit_id, {
+    maxLength: limits.hiitId,
+    required: false,
+  });
+  checkString(errors, 'name', hiit.name, { maxLength: limits.hiitName, required });
+  checkString(errors, 'description', hiit.description, { required });
+  checkString(errors, 'type', hiit.type, {
+    maxLength: limits.hiitType,
+    required: false,
+  });
+  if (typeof hiit.type === 'string' && !writableTypes.includes(hiit.type)) {
+    errors.push({
+      field: 'type',
+      message: `type must be one of: ${writableTypes.join(', ')}`,
+    });
+  }
+  checkChoice(errors, 'format', hiit.format, hb.formats);
+  checkDuration(errors, 'time_cap', hiit.time_cap, { required: false });
+  if (hiit.exercises !== undefined) {
+    if (!Array.isArray(hiit.exercises)) {
+      errors.push({ field: 'exercises', message: 'exercises must be an array' });
+    } else {
+      hiit.exercises.forEach((exercise, index) => {
+        errors.push(...exerciseErrors(exercise, `exercises[${index}].`));
+      });
+    }
+  }
+  if (hiit.blocks !== undefined) {
+    if (hiit.exercises !== undefined) {
+      errors.push({ field: 'blocks', message: 'send either blocks or exercises, not both' });
+    } else if (!Array.isArray(hiit.blocks)) {
+      errors.push({ field: 'blocks', message: 'blocks must be an array' });
+    } else {
+      hiit.blocks.forEach((block, index) => {
+        errors.push(...blockErrors(block, `blocks[${index}].`));
+      });
+    }
+  }
+  // A partial hiit is checked against its format once it is merged with the stored one
+  if (errors.length === 0 && !partial) {
+    errors.push(...formatErrors(hiit.format ?? 'interval', hiit.time_cap, hiit));
+  }
+  return errors;
+}
+
+// Function to list the exercises of a hiit sent as blocks or a flat list, each with its field path
+function exercisePaths(hiit) {
+  if (Array.isArray(hiit.exercises)) {
+    return hiit.exercises.map((exercise, index) => ({ exercise, prefix: `exercises[${index}].` }));
+  }
+  return (hiit.blocks ?? []).flatMap((block, blockIndex) =>
+    block.exercises.map((exercise, index) => ({
+      exercise,
+      prefix: `blocks[${blockIndex}].exercises[${index}].`,
+    })),
+  );
+}
+
+// Function to collect the errors of an exercise that does not fit the format of its hiit.
+// A Tabata is timed, 20 seconds of work and 10 of rest, and an EMOM exercise fills one minute.
+export function formatExerciseErrors(format, exercise, prefix = '') {
+  const field = `${prefix}exercise_duration`;
+  const timed = exercise.reps === undefined || exercise.reps === null;
+  if (format === 'tabata' && !(timed && exercise.exercise_duration === 20 && exercise.rest_duration === 10)) {
+    return [{ field, message: `${field} must be 20 seconds, timed and followed by a rest_duration of 10 in a tabata` }];
+  }
+  if (format === 'emom' && exercise.exercise_duration + exercise.rest_duration !== 60) {
+    return [{ field, message: `${field} and ${prefix}rest_duration must add up to 60 seconds in an emom` }];
+  }
+  return [];
+}
+
+// Function to collect the errors of a hiit that does not fit its format. An AMRAP repeats its
+// exercises until its time cap runs out, so it needs a time cap and has no warm-up or cool-down.
+function formatErrors(format, timeCap, hiit) {
+  const errors = [];
+  if (format === 'amrap') {
+    if (timeCap === undefined || timeCap === null) {
+      errors.push({ field: 'time_cap', message: 'time_cap is required in an amrap' });
+    }
+    (hiit.blocks ?? []).forEach((block, index) => {
+      if ((block.phase ?? 'main') !== 'main') {
+        errors.push({
+          field: `blocks[${index}].phase`,
+          message: `blocks[${index}].phase must be main in an amrap`,
+        });
+      }
+    });
+  }
+  for (const { exercise, prefix } of exercisePaths(hiit)) {
+    errors.push(...formatExerciseErrors(format, exercise, prefix));
+  }
+  return errors;
+}
+
+// Function to check a hiit update against the format the hiit will have once it is saved.
+// When the blocks are kept, a format that does not fit them is reported on the format itself.
+function updateFormatErrors(body, current) {
+  const format = body.format ?? current.format;
+  const timeCap = body.time_cap ?? current.time_cap;
+  if (body.exercises !== undefined || body.blocks !== undefined) {
+    return formatErrors(format, timeCap, body);
+  }
+  const errors = formatErrors(format, timeCap, { blocks: hb.blocksWithExercises(current) });
+  const kept = errors.filter((error) => error.field === 'time_cap');
+  if (kept.length < errors.length) {
+    kept.push({ field: 'format', message: `format ${format} does not fit the exercises of this hiit` });
+  }
+  return kept;
+}
+
+// Function to collect the field errors of a performed workout session
+export function sessionErrors(session, prefix = '') {
+  const errors = [];
+  if (typeof session !== 'object' || session === null) {
+    errors.push({ field: prefix || 'session', message: 'session must be an object' });
+    return errors;
+  }
+  checkString(errors, `${prefix}hiit_id`, session.hiit_id, {
+    maxLength: limits.hiitId,
+    required: false,
+  });
+  checkString(errors, `${prefix}hiit_name`, session.hiit_name, {
+    maxLength: limits.hiitName,
+  });
+  checkTimestamp(errors, `${prefix}started_at`, session.started_at);
+  checkTimestamp(errors, `${prefix}ended_at`, session.ended_at);
+  if (Date.parse(session.ended_at) < Date.parse(session.started_at)) {
+    errors.push({
+      field: `${prefix}ended_at`,
+      message: `${prefix}ended_at must not be before ${prefix}started_at`,
+    });
+  }
+  checkCount(errors, `${prefix}planned_duration`, session.planned_duration);
+  checkCount(errors, `${prefix}actual_duration`, session.actual_duration);
+  checkCount(errors, `${prefix}warm_up_duration`, session.warm_up_duration, { required: false });
+  checkCount(errors, `${prefix}cool_down_duration`, session.cool_down_duration, {
+    required: false,
+  });
+  // The warm-up and cool-down are part of the time the session took, once the durations are valid
+  const phaseDuration = (session.warm_up_duration ?? 0) + (session.cool_down_duration ?? 0);
+  if (errors.length === 0 && phaseDuration > session.actual_duration) {
+    errors.push({
+      field: `${prefix}actual_duration`,
+      message: `${prefix}actual_duration must include ${prefix}warm_up_duration and ${prefix}cool_down_duration`,
+    });
+  }
+  checkCount(errors, `${prefix}completed_exercises`, session.completed_exercises);
+  checkCount(errors, `${prefix}skipped_exercises`, session.skipped_exercises, {
+    required: false,
+  });
+  return errors;
+}
+
+// Function to send the collected field errors as a 400 response
+export function sendFieldErrors(res, errors) {
+  res.status(400).json({ error: 'Validation failed', errors });
+}
+
+// Function to check that the library entries exercises point at exist and can be used by the user
+async function libraryErrors(exercises, user, prefix = (index) => `exercises[${index}].`) {
+  const errors = [];
+  for (const [index, exercise] of exercises.entries()) {
+    if (Number.isInteger(exercise?.library_id)) {
+      const entry = await hb.findLibraryEntry(exercise.library_id);
+      if (!entry || !canViewLibraryEntry(entry, user)) {
+        const field = `${prefix(index)}library_id`;
+        errors.push({ field, message: `${field} does not exist` });
+      }
+    }
+  }
+  return errors;
+}
+
+// Function to check the library entries of the exercises in every block of a hiit
+async function blockLibraryErrors(blocks, user, path = '') {
+  const errors = [];
+  for (const [index, block] of blocks.entries()) {
+    const prefix = (exercise) => `${path}blocks[${index}].exercises[${exercise}].`;
+    errors.push(...(await libraryErrors(block.exercises, user, prefix)));
+  }
+  return errors;
+}
+
+// Middleware to validate the body of a new hiit
+export async function validateNewHiit(req, res, next) {
+  try {
+    const body = req.body ?? {};
+    const errors = hiitErrors(body);
+    if (errors.length === 0 && body.exercises) {
+      errors.push(...(await libraryErrors(body.exercises, req.user)));
+    }
+    if (errors.length === 0 && body.blocks) {
+      errors.push(...(await blockLibraryErrors(body.blocks, req.user)));
+    }
+    // IDs of Hiits in the trash stay taken, so they can still be restored
+    if (typeof body.hiit_id === 'string' && (await hb.hiitIdTaken(body.hiit_id))) {
+      errors.push({ field: 'hiit_id', message: 'hiit_id already exists' });
+    }
+    if (errors.length > 0) {
+      sendFieldErrors(res, errors);
+      return;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Middleware to validate the body of a hiit update, where every field is optional
+export async function validateHiitUpdate(req, res, next) {
+  try {
+    const body = req.body ?? {};
+    const errors = hiitErrors(body, { partial: true });
+    if (errors.length === 0 && body.exercises) {
+      errors.push(...(await libraryErrors(body.exercises, req.user)));
+    }
+    if (errors.length === 0 && body.blocks) {
+      errors.push(...(await blockLibraryErrors(body.blocks, req.user)));
+    }
+    // An unknown hiit is left for the route to answer with a 404
+    const current = errors.length === 0 ? await hb.getHiit(req.params.id) : undefined;
+    if (current) {
+      errors.push(...updateFormatErrors(body, current));
+    }
+    if (errors.length > 0) {
+      sendFieldErrors(res, errors);
+      return;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Middleware to validate the body of a new exercise and the hiit it belongs to
+export async function validateNewExercise(req, res, next) {
+  try {
+    const body = req.body ?? {};
+    const errors = exerciseErrors(body);
+    checkString(errors, 'hiit_id', body.hiit_id, { maxLength: limits.hiitId });
+    const hiit = errors.length === 0 ? await hb.findHiit(body.hiit_id) : undefined;
+    if (errors.length === 0 && !hiit) {
+      errors.push({ field: 'hiit_id', message: 'hiit_id does not exist' });
+    }
+    if (hiit) {
+      errors.push(...formatExerciseErrors(hiit.format, body));
+    }
+    if (errors.length === 0) {
+      errors.push(...(await libraryErrors([body], req.user, () => '')));
+    }
+    if (errors.length > 0) {
+      sendFieldErrors(res, errors);
+      return;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Middleware to validate a new exercise order, a list of distinct exercise IDs
+export function validateExerciseOrder(req, res, next) {
+  const order = req.body?.order;
+  const errors = [];
+  if (!Array.isArray(order)) {
+    errors.push({ field: 'order', message: 'order must be an array of exercise IDs' });
+  } else if (!order.every((id) => Number.isInteger(id) && id > 0)) {
+    errors.push({ field: 'order', message: 'order must only contain exercise IDs' });
+  } else if (new Set(order).size !== order.length) {
+    errors.push({ field: 'order', message: 'order must not repeat an exercise' });
+  }
+  if (errors.length > 0) {
+    sendFieldErrors(res, errors);
+    return;
+  }
+  next();
+}
+
+// Middleware to validate a performed workout session
+export async function validateNewSession(req, res, next) {
+  try {
+    const body = req.body ?? {};
+    const errors = sessionErrors(body);
+    if (errors.length === 0) {
+      errors.push(...(await sessionHiitErrors(body, req.user)));
+    }
+    if (errors.length > 0) {
+      sendFieldErrors(res, errors);
+      return;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Function to check that the hiit a session was done on is one the user can see, so sessions
+// cannot be logged against another user's private hiit. It may have gone to the trash since.
+async function sessionHiitErrors(session, user, prefix = '') {
+  if (session.hiit_id === undefined || session.hiit_id === null) {
+    return [];
+  }
+  const hiit = (await hb.findHiit(session.hiit_id)) ?? (await hb.findTrashedHiit(session.hiit_id));
+  if (!hiit || !canView(hiit, user)) {
+    return [{ field: `${prefix}hiit_id`, message: `${prefix}hiit_id does not exist` }];
+  }
+  return [];
+}
+
+// Middleware to validate a batch of sessions imported from the old localStorage history
+export async function validateSessionImport(req, res, next) {
+  try {
+    const sessions = req.body?.sessions;
+    const errors = [];
+    if (!Array.isArray(sessions)) {
+      errors.push({ field: 'sessions', message: 'sessions must be an array' });
+    } else {
+      sessions.forEach((session, index) => {
+        errors.push(...sessionErrors(session, `sessions[${index}].`));
+      });
+    }
+    if (errors.length === 0) {
+      for (const [index, session] of sessions.entries()) {
+        errors.push(...(await sessionHiitErrors(session, req.user, `sessions[${index}].`)));
+      }
+    }
+    if (errors.length > 0) {
+      sendFieldErrors(res, errors);
+      return;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Ways the statistics can be grouped
+const statsGroups = ['day', 'week', 'month'];
+
+// Function to check an optional YYYY-MM-DD date
+function checkDate(errors, field, value) {
+  if (value === undefined) {
+    return;
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+    errors.push({ field, message: `${field} must be a date in the form YYYY-MM-DD` });
+  }
+}
+
+// Middleware to validate the grouping and date range asked of the statistics
+export function validateStatsQuery(req, res, next) {
+  const { group, from, to } = req.query;
+  const errors = [];
+  if (group !== undefined && !statsGroups.includes(group)) {
+    errors.push({
+      field: 'group',
+      message: `group must be one of: ${statsGroups.join(', ')}`,
+    });
+  }
+  checkDate(errors, 'from', from);
+  checkDate(errors, 'to', to);
+  if (errors.length === 0 && from && to && from > to) {
+    errors.push({ field: 'to', message: 'to must not be before from' });
+  }
+  if (errors.length > 0) {
+    sendFieldErrors(res, errors);
+    return;
+  }
+  next();
+}
+
+// Shortest password an account can have
+const minPasswordLength = 8;
+
+// Middleware to validate the username and password of a registration or login
+export function validateCredentials(req, res, next) {
+  const { username, password } = req.body ?? {};
+  const errors = [];
+  checkString(errors, 'username', username, { maxLength: limits.username });
+  if (typeof username === 'string' && !/^[A-Za-z0-9_.-]{3,}$/.test(username)) {
+    errors.push({
+      field: 'username',
+      message: 'username must be at least 3 letters, digits, dots, dashes or underscores',
+    });
+  }
+  if (typeof password !== 'string' || password.length < minPasswordLength) {
+    errors.push({
+      field: 'password',
+      message: `password must be at least ${minPasswordLength} characters`,
+    });
+  }
+  if (errors.length > 0) {
+    sendFieldErrors(res, errors);
+    return;
+  }
+  next();
+}
+
+// Middleware to validate an imported hiit file before it is created as a new custom hiit
+export async function validateHiitImport(req, res, next) {
+  try {
+    const file = req.body ?? {};
+    const errors = hiitFileErrors(file);
+    // Library IDs are not written to hiit files, but one that is sent must be an entry the user can see
+    if (errors.length === 0 && file.hiit.exercises) {
+      const prefix = (index) => `hiit.exercises[${index}].`;
+      errors.push(...(await libraryErrors(file.hiit.exercises, req.user, prefix)));
+    }
+    if (errors.length === 0 && file.hiit.blocks) {
+      errors.push(...(await blockLibraryErrors(file.hiit.blocks, req.user, 'hiit.')));
+    }
+    if (errors.length > 0) {
+      sendFieldErrors(res, errors);
+      return;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Function to collect the field errors of an uploaded hiit file and the hiit it holds
+function hiitFileErrors(file) {
+  const errors = [];
+  if (file.format !== hiitFileFormat) {
+    errors.push({ field: 'format', message: `format must be ${hiitFileFormat}` });
+  }
+  if (!Number.isInteger(file.version) || file.version < 1 || file.version > hiitFileVersion) {
+    errors.push({
+      field: 'version',
+      message: `version must be a whole number from 1 to ${hiitFileVersion}`,
+    });
+  }
+  if (typeof file.hiit !== 'object' || file.hiit === null || Array.isArray(file.hiit)) {
+    errors.push({ field: 'hiit', message: 'hiit must be an object' });
+  } else {
+    // The file's own IDs and type are never used, the hiit is always created as a new custom hiit
+    const { name, description, exercises, blocks, format } = file.hiit;
+    const hiit = { name, description, exercises, blocks, format, time_cap: file.hiit.time_cap };
+    for (const error of hiitErrors(hiit)) {
+      errors.push({
+        field: `hiit.${error.field}`,
+        message: `hiit.${error.message}`,
+      });
+    }
+  }
+  return errors;
+}
+
+// Function to check an optional list of short tags, such as muscle groups or equipment
+function checkTags(errors, field, value) {
+  if (value === undefined) {
+    return;
+  }
+  if (
+    !Array.isArray(value) ||
+    !value.every(
+      (tag) => typeof tag === 'string' && tag.trim() !== '' && tag.length <= limits.libraryTag,
+    )
+  ) {
+    errors.push({
+      field,
+      message: `${field} must be a list of names of at most ${limits.libraryTag} characters`,
+    });
+  }
+}
+
+// Middleware to validate a new exercise library entry
+export function validateLibraryEntry(req, res, next) {
+  const body = req.body ?? {};
+  const errors = [];
+  checkString(errors, 'name', body.name, { maxLength: limits.exerciseName });
+  checkString(errors, 'description', body.description);
+  checkTags(errors, 'muscle_groups', body.muscle_groups);
+  checkTags(errors, 'equipment', body.equipment);
+  if (errors.length > 0) {
+    sendFieldErrors(res, errors);
+    return;
+  }
+  next();
+}
+
+// Longest hiit that can be generated, in seconds
+const maxGeneratedDuration = 3 * 60 * 60;
+
+// Largest seed of a generated hiit, so that every seed fits in 32 bits
+const maxSeed = 4294967295;
+
+// Middleware to validate the options a hiit is generated with
+export function validateHiitGenerate(req, res, next) {
+  const body = req.body ?? {};
+  const errors = [];
+  checkDuration(errors, 'duration', body.duration);
+  if (Number.isInteger(body.duration) && body.duration > maxGeneratedDuration) {
+    errors.push({
+      field: 'duration',
+      message: `duration must be at most ${maxGeneratedDuration} seconds`,
+    });
+  }
+  if (
+    body.work_rest_ratio !== undefined &&
+    !(typeof body.work_rest_ratio === 'string' && /^[1-9]\d?:[1-9]\d?$/.test(body.work_rest_ratio))
+  ) {
+    errors.push({
+      field: 'work_rest_ratio',
+      message: 'work_rest_ratio must be two whole numbers from 1 to 99, such as 2:1',
+    });
+  }
+  checkTags(errors, 'equipment', body.equipment);
+  checkTags(errors, 'focus', body.focus);
+  checkChoice(errors, 'difficulty', body.difficulty, difficultyNames);
+  if (
+    body.seed !== undefined &&
+    !(Number.isInteger(body.seed) && body.seed >= 0 && body.seed <= maxSeed)
+  ) {
+    errors.push({ field: 'seed', message: `seed must be a whole number from 0 to ${maxSeed}` });
+  }
+  if (errors.length > 0) {
+    sendFieldErrors(res, errors);
+    return;
+  }
+  next();
+}
+
+// Hiit types that can be searched for
+const hiitTypes = ['default', 'custom'];
+
+// Most hiits a single page of results can hold
+const maxPageSize = 100;
+
+// Function to check an optional query string value is one of a list of choices
+function checkChoice(errors, field, value, choices) {
+  if (value !== undefined && !choices.includes(value)) {
+    errors.push({ field, message: `${field} must be one of: ${choices.join(', ')}` });
+  }
+}
+
+// Function to check an optional query string value is a whole number within a range
+function checkQueryNumber(errors, field, value, { min = 0, max = Infinity } = {}) {
+  if (value === undefined) {
+    return;
+  }
+  if (!/^\d+$/.test(value) || Number(value) < min || Number(value) > max) {
+    const range = max === Infinity ? `of at least ${min}` : `from ${min} to ${max}`;
+    errors.push({ field, message: `${field} must be a whole number ${range}` });
+  }
+}
+
+// Middleware to validate the search, filter, sort and paging options of a list of hiits
+export function validateHiitQuery(req, res, next) {
+  const query = req.query;
+  const errors = [];
+  for (const field of ['q', 'tag', 'equipment']) {
+    if (query[field] !== undefined && typeof query[field] !== 'string') {
+      errors.push({ field, message: `${field} must be given once` });
+    }
+  }
+  checkChoice(errors, 'type', query.type, hiitTypes);
+  checkChoice(errors, 'sort', query.sort, hb.hiitSortNames);
+  checkChoice(errors, 'order', query.order, ['asc', 'desc']);
+  checkQueryNumber(errors, 'min_duration', query.min_duration);
+  checkQueryNumber(errors, 'max_duration', query.max_duration);
+  checkQueryNumber(errors, 'limit', query.limit, { min: 1, max: maxPageSize });
+  checkQueryNumber(errors, 'offset', query.offset);
+  if (
+    errors.length === 0 &&
+    query.min_duration !== undefined &&
+    query.max_duration !== undefined &&
+    Number(query.min_duration) > Number(query.max_duration)
+  ) {
+    errors.push({ field: 'max_duration', message: 'max_duration must not be below min_duration' });
+  }
+  if (errors.length > 0) {
+    sendFieldErrors(res, errors);
+    return;
+  }
+  next();
+}
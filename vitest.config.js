@@ -4,6 +4,10 @@ export default defineConfig({
   test: {
     env: {
       NODE_ENV: 'test',
+      // Every test run starts from a fresh database instead of writing to database.sqlite
+      SEEFIT_STORAGE: 'memory',
+      // Keeping the test output readable; tests/logger.test.js checks the logs themselves
+      SEEFIT_LOG_LEVEL: 'silent',
     },
   },
 });